@@ -1,13 +1,24 @@
 // background.js
+importScripts("scoring.js");
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg && msg.type === "GET_TOKEN") {
-    chrome.identity.getAuthToken({ interactive: true }, (token) => {
-      if (chrome.runtime.lastError) {
-        sendResponse({ error: chrome.runtime.lastError.message });
-        return;
-      }
-      sendResponse({ token });
-    });
+    getAccountToken(msg.account || null, msg.interactive !== false)
+      .then(({ token, account }) => sendResponse({ token, account }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // Gmail rejected a token (401): drop it from the caches and get a fresh one
+  // without showing any UI. The content script falls back to GET_TOKEN with
+  // interactive sign-in if this fails.
+  if (msg && msg.type === "REFRESH_TOKEN") {
+    new Promise((resolve) =>
+      chrome.identity.removeCachedAuthToken({ token: msg.token }, resolve)
+    )
+      .then(() => getAccountToken(msg.account || null, false))
+      .then(({ token, account }) => sendResponse({ token, account }))
+      .catch((err) => sendResponse({ error: err.message }));
     return true;
   }
 
@@ -28,4 +39,430 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     });
     return true;
   }
+
+  // RFC 8058 one-click unsubscribe. Mailing list servers don't send CORS
+  // headers, so the POST goes out "no-cors" and its response can't be read.
+  if (msg && msg.type === "ONE_CLICK_UNSUBSCRIBE") {
+    if (!/^https:\/\//i.test(msg.url || "")) {
+      sendResponse({ ok: false, error: "unsubscribe URL must be https" });
+      return;
+    }
+    fetch(msg.url, {
+      method: "POST",
+      mode: "no-cors",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "List-Unsubscribe=One-Click",
+    })
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+
+  if (msg && msg.type === "CLEAR_BADGE") {
+    clearBadge();
+    sendResponse({ ok: true });
+    return;
+  }
+});
+
+// --- ACCOUNTS & TOKENS ---
+// Tokens come from chrome.identity.getAuthToken, so Reception can sign in to
+// the Google accounts signed in to this Chrome profile. Where Chrome has
+// chrome.identity.getAccounts, that's every account added to the profile;
+// elsewhere it's only the profile's primary account. Gmail accounts that are
+// only signed in on the web (not in Chrome) can't sign in.
+
+const ACCOUNTS_KEY = "gmail_ai_accounts"; // Keep in sync with content-script.js
+
+// Where a key is stored for one account. Keep in sync with content-script.js.
+const accountKey = (key, account) => `${key}::${account}`;
+
+/**
+ * Gets a token for one of the Chrome profile's accounts, by its Chrome
+ * account ID, or for the primary account if `accountId` is null.
+ */
+function getChromeToken(interactive, accountId = null) {
+  const details = { interactive };
+  if (accountId) details.account = { id: accountId };
+  return new Promise((resolve, reject) => {
+    chrome.identity.getAuthToken(details, (token) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(token);
+    });
+  });
+}
+
+/**
+ * Lists the Chrome account IDs of the accounts getChromeToken can use. Null
+ * stands for the primary account when Chrome can't list them.
+ */
+function getChromeAccountIds() {
+  if (!chrome.identity.getAccounts) return Promise.resolve([null]);
+  return new Promise((resolve) => {
+    chrome.identity.getAccounts((accounts) => {
+      const ids = chrome.runtime.lastError
+        ? []
+        : (accounts || []).map((a) => a.id);
+      resolve(ids.length > 0 ? ids : [null]);
+    });
+  });
+}
+
+async function fetchAccountEmail(token) {
+  const profile = await gmailGet(token, "/profile");
+  return profile.emailAddress.toLowerCase();
+}
+
+/**
+ * Gets a token for a Gmail account (or, with no account given, the Chrome
+ * profile's primary one) and returns it with the account's address. Chrome
+ * account IDs don't say which address they are, so each account's token is
+ * checked against Gmail's profile. Without `interactive`, accounts that
+ * haven't agreed to Reception's permissions yet are skipped; with it, they're
+ * asked to, one by one, until the right account turns up.
+ */
+async function getAccountToken(account, interactive) {
+  if (!account) {
+    const token = await getChromeToken(interactive);
+    return { token, account: await fetchAccountEmail(token) };
+  }
+  const accountIds = await getChromeAccountIds();
+  const needConsent = [];
+  for (const accountId of accountIds) {
+    const token = await getChromeToken(false, accountId).catch(() => null);
+    if (!token) {
+      needConsent.push(accountId);
+    } else if ((await fetchAccountEmail(token)) === account) {
+      return { token, account };
+    }
+  }
+  if (interactive) {
+    for (const accountId of needConsent) {
+      const token = await getChromeToken(true, accountId).catch(() => null);
+      if (token && (await fetchAccountEmail(token)) === account) {
+        return { token, account };
+      }
+    }
+  }
+  throw new Error(
+    chrome.identity.getAccounts
+      ? `${account} isn't signed in to this Chrome profile. Add it to Chrome to use Reception with it.`
+      : `${account} isn't this Chrome profile's account. This version of Chrome only lets Reception sign in to the profile's own account.`
+  );
+}
+
+// --- BACKGROUND SCANNING ---
+// Every few minutes we ask Gmail what's new since the last check (using the
+// history API), score the new unread emails, and raise a notification for the
+// ones that matter. The badge on the toolbar icon counts them until the user
+// opens Reception.
+
+const SCAN_ALARM = "gmail-ai-background-scan";
+const SCAN_INTERVAL_MINUTES = 15;
+const GMAIL_API_BASE = "https://gmail.googleapis.com/gmail/v1/users/me";
+// Everything but the badge count is kept per account (see accountKey); the
+// badge counts important emails across all accounts. The profile, rules and
+// feedback log are the ones Reception keeps, so they share its key names.
+const STORAGE_KEYS = {
+  USER_PROFILE: "gmail_ai_user_profile",
+  USER_RULES: "gmail_ai_user_rules",
+  FEEDBACK_LOG: "gmail_ai_feedback_log",
+  BACKGROUND_HISTORY_ID: "gmail_ai_background_history_id",
+  BADGE_COUNT: "gmail_ai_badge_count",
+};
+
+function scheduleBackgroundScan() {
+  chrome.alarms.create(SCAN_ALARM, {
+    periodInMinutes: SCAN_INTERVAL_MINUTES,
+  });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleBackgroundScan);
+chrome.runtime.onStartup.addListener(scheduleBackgroundScan);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCAN_ALARM) {
+    runBackgroundScan().catch((err) =>
+      console.error("Background scan failed:", err)
+    );
+  }
 });
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  chrome.notifications.clear(notificationId);
+  openReception(notificationId.split("|")[1]);
+});
+
+async function gmailGet(token, path) {
+  const response = await fetch(`${GMAIL_API_BASE}${path}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+  if (!response.ok) {
+    const error = new Error(`Gmail API failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Returns the IDs of emails added to the inbox since `startHistoryId`, plus
+ * the mailbox's latest history ID to start from next time.
+ */
+async function fetchAddedMessageIds(token, startHistoryId) {
+  const ids = new Set();
+  let pageToken = null;
+  let historyId = startHistoryId;
+  do {
+    const params = new URLSearchParams({
+      startHistoryId,
+      historyTypes: "messageAdded",
+      labelId: "INBOX",
+    });
+    if (pageToken) params.set("pageToken", pageToken);
+    const page = await gmailGet(token, `/history?${params}`);
+    (page.history || []).forEach((entry) => {
+      (entry.messagesAdded || []).forEach(({ message }) => ids.add(message.id));
+    });
+    historyId = page.historyId || historyId;
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return { ids: [...ids], historyId };
+}
+
+/**
+ * Fetches the headers the scoring rules look at for each message (sender,
+ * subject and List-Unsubscribe), a few at a time so a burst
+ * of new mail doesn't flood the Gmail API. Messages deleted since (404) come
+ * back as null; any other failure fails the scan, so it's retried next time.
+ */
+async function fetchMessageMetadata(token, ids) {
+  const messages = [];
+  const concurrency = 8;
+  for (let i = 0; i < ids.length; i += concurrency) {
+    const batch = ids.slice(i, i + concurrency);
+    const promises = batch.map((id) =>
+      gmailGet(
+        token,
+        `/messages/${id}?format=metadata&metadataHeaders=From&metadataHeaders=Subject&metadataHeaders=List-Unsubscribe`
+      ).catch((err) => {
+        if (err.status === 404) return null;
+        throw err;
+      })
+    );
+    messages.push(...(await Promise.all(promises)));
+  }
+  return messages;
+}
+
+/**
+ * Scores new emails the way Reception does: the user's own rules and the
+ * profile's sender lists decide first (see prescoreEmail), and only the
+ * emails they leave open go to the built-in AI, along with the feedback
+ * summary. Without the AI those emails count as unimportant for now; the
+ * Reception scan still scores them properly later.
+ */
+async function scoreNewEmails(
+  messages,
+  userProfile,
+  { rules, labels, feedbackSummary }
+) {
+  const scores = [];
+  const undecided = [];
+  messages.forEach((message) => {
+    const analysis = prescoreEmail(message, userProfile, rules, labels);
+    if (analysis) {
+      scores.push({
+        id: message.id,
+        score: analysis.score,
+        summarizedTitle: analysis.summarizedTitle,
+      });
+    } else {
+      undecided.push({
+        id: message.id,
+        from: getEmailHeader(message, "From"),
+        subject: getEmailHeader(message, "Subject"),
+        snippet: message.snippet || "",
+      });
+    }
+  });
+  if (undecided.length === 0 || !self.LanguageModel) return scores;
+
+  const availability = await self.LanguageModel.availability();
+  if (availability !== "available") return scores;
+  const session = await self.LanguageModel.create();
+  try {
+    const prompt = `Based on the user profile below, give each email a relevance score from 0 to 100 and a concise, descriptive title (max 10 words).\nUSER PROFILE: ${JSON.stringify(
+      userProfile
+    )}\nUSER FEEDBACK (per-sender counts of what the user did with earlier emails): ${JSON.stringify(
+      feedbackSummary
+    )}\nEMAILS: ${JSON.stringify(
+      undecided
+    )}\n\nScore senders the user usually opens or likes higher, and senders they usually delete or dislike lower.\nReturn a JSON array of objects with 'id', 'score' and 'summarizedTitle'.`;
+    const result = await session.prompt(prompt, {
+      responseConstraint: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            score: { type: "number" },
+            summarizedTitle: { type: "string" },
+          },
+          required: ["id", "score", "summarizedTitle"],
+        },
+      },
+    });
+    return [...scores, ...JSON.parse(result)];
+  } finally {
+    session.destroy();
+  }
+}
+
+/**
+ * Scans every account signed in to Reception, one after the other. Accounts
+ * we can't get a token for without showing any UI are skipped this time.
+ */
+async function runBackgroundScan() {
+  const data = await chrome.storage.local.get(ACCOUNTS_KEY);
+  for (const account of data[ACCOUNTS_KEY] || []) {
+    const token = await getAccountToken(account, false)
+      .then((result) => (result.account === account ? result.token : null))
+      .catch(() => null);
+    if (!token) continue;
+    await scanAccount(account, token).catch((err) =>
+      console.error(`Background scan of ${account} failed:`, err)
+    );
+  }
+}
+
+async function scanAccount(account, token) {
+  const profileKey = accountKey(STORAGE_KEYS.USER_PROFILE, account);
+  const historyKey = accountKey(STORAGE_KEYS.BACKGROUND_HISTORY_ID, account);
+  const rulesKey = accountKey(STORAGE_KEYS.USER_RULES, account);
+  const feedbackKey = accountKey(STORAGE_KEYS.FEEDBACK_LOG, account);
+  const data = await chrome.storage.local.get([
+    profileKey,
+    historyKey,
+    rulesKey,
+    feedbackKey,
+  ]);
+  const userProfile = data[profileKey];
+  const rules = data[rulesKey] || [];
+  const startHistoryId = data[historyKey];
+
+  // The first run only records where the mailbox is now. Gmail also forgets
+  // old history after a while (404), in which case we start over from here.
+  let added;
+  try {
+    added = startHistoryId
+      ? await fetchAddedMessageIds(token, startHistoryId)
+      : null;
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    added = null;
+  }
+  if (!added) {
+    const profile = await gmailGet(token, "/profile");
+    await chrome.storage.local.set({ [historyKey]: profile.historyId });
+    return;
+  }
+  // The history ID is only moved on once the new emails are scored, so if
+  // anything below fails the next scan looks at them again.
+  const saveHistoryId = () =>
+    chrome.storage.local.set({ [historyKey]: added.historyId });
+  if (added.ids.length === 0 || !userProfile) {
+    await saveHistoryId();
+    return;
+  }
+
+  const messages = (await fetchMessageMetadata(token, added.ids)).filter(
+    (m) => m && (m.labelIds || []).includes("UNREAD")
+  );
+  // Label rules name labels, so they need the mailbox's labels to match.
+  const labels = rules.some((rule) => rule.field === "label")
+    ? (await gmailGet(token, "/labels")).labels || []
+    : [];
+  const scores =
+    messages.length > 0
+      ? await scoreNewEmails(messages, userProfile, {
+          rules,
+          labels,
+          feedbackSummary: summarizeFeedback(data[feedbackKey] || []),
+        })
+      : [];
+  await saveHistoryId();
+  const importantEmails = scores
+    .filter((s) => s.score >= SCORE_THRESHOLD)
+    .map((s) => {
+      const message = messages.find((m) => m.id === s.id);
+      return (
+        message && {
+          ...s,
+          from: getEmailHeader(message, "From"),
+          subject: getEmailHeader(message, "Subject"),
+        }
+      );
+    })
+    .filter(Boolean);
+  if (importantEmails.length === 0) return;
+
+  importantEmails.forEach((email) => {
+    chrome.notifications.create(`gmail-ai|${account}|${email.id}`, {
+      type: "basic",
+      iconUrl: "icons/icon.png",
+      title: email.summarizedTitle || email.subject || "New important email",
+      message: email.from,
+      contextMessage: `${account} · Relevance score: ${email.score}`,
+    });
+  });
+
+  const badgeData = await chrome.storage.local.get(STORAGE_KEYS.BADGE_COUNT);
+  const badgeCount =
+    (badgeData[STORAGE_KEYS.BADGE_COUNT] || 0) + importantEmails.length;
+  await chrome.storage.local.set({ [STORAGE_KEYS.BADGE_COUNT]: badgeCount });
+  chrome.action.setBadgeBackgroundColor({ color: "#0b57d0" });
+  chrome.action.setBadgeText({ text: String(badgeCount) });
+}
+
+/**
+ * Brings up Reception in an open Gmail tab for the account (Gmail puts the
+ * address in its tab titles), or opens a new one.
+ */
+async function openReception(account) {
+  const tabs = await chrome.tabs.query({ url: "https://mail.google.com/*" });
+  // Gmail puts the account's address in the tab title. A tab opened with
+  // ?authuser= may not have its title yet, but still has that in its URL.
+  const tab = account
+    ? tabs.find(
+        (t) =>
+          (t.title || "").toLowerCase().includes(account) ||
+          new URL(t.url).searchParams.get("authuser") === account
+      )
+    : tabs[0];
+  if (tab) {
+    await chrome.tabs.update(tab.id, {
+      active: true,
+      url: tab.url.replace(/#.*$/, "") + "#reception",
+    });
+    chrome.windows.update(tab.windowId, { focused: true });
+  } else {
+    chrome.tabs.create({
+      url: account
+        ? `https://mail.google.com/mail/?authuser=${encodeURIComponent(
+            account
+          )}#reception`
+        : "https://mail.google.com/mail/u/0/#reception",
+    });
+  }
+}
+
+function clearBadge() {
+  chrome.storage.local.set({ [STORAGE_KEYS.BADGE_COUNT]: 0 });
+  chrome.action.setBadgeText({ text: "" });
+}
@@ -1,37 +1,381 @@
 // content-script.js
 (() => {
   // --- CONFIGURATION ---
-  const SCORE_THRESHOLD = 40;
   const CLIENT_DISPLAY_NAME = "Gmail AI Reception";
   const PROFILE_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+  const SCAN_LOOKBACK_DAYS = 2; // How far back a scan looks for unread emails
+  const MAX_SCAN_MESSAGES = 50; // Upper limit on emails scored in one scan
+  const MAX_PAGE_SIZE = 100; // Emails requested per Gmail API list page
+  const BODY_EXCERPT_LENGTH = 600; // Characters of body text sent for scoring
+  const THREAD_EXCERPT_LENGTH = 200; // Characters sent for each earlier reply
+  const MAX_THREAD_CONTEXT_MESSAGES = 6; // Latest messages of a thread sent for scoring
+  const SUMMARY_CHUNK_LENGTH = 4000; // Longest text handed to the Summarizer at once
+  const REPLY_CONTEXT_LENGTH = 6000; // Characters of a conversation used to draft a reply
+  const MAX_EMAIL_ATTACHMENTS = 10; // Attachments kept per card (and sent for scoring)
+  const SEARCH_DEBOUNCE_MS = 200; // Pause in typing before the search is applied
+  // The answers an invite can get, as iCalendar PARTSTAT values.
+  const RSVP_RESPONSES = {
+    ACCEPTED: { label: "Accept", subject: "Accepted" },
+    TENTATIVE: { label: "Maybe", subject: "Tentative" },
+    DECLINED: { label: "Decline", subject: "Declined" },
+  };
+  // The mailbox changes an incremental sync needs to hear about.
+  const SYNC_HISTORY_TYPES = [
+    "messageAdded",
+    "messageDeleted",
+    "labelAdded",
+    "labelRemoved",
+  ];
+  const GMAIL_API_BASE = "https://gmail.googleapis.com/gmail/v1/users/me";
 
   // --- STATE MANAGEMENT ---
   const STORAGE_KEYS = {
     USER_PROFILE: "gmail_ai_user_profile",
     LAST_ANALYSIS_TIMESTAMP: "gmail_ai_last_analysis_ts",
+    ANALYSIS_CACHE: "gmail_ai_analysis_cache",
+    PROFILE_OVERRIDES: "gmail_ai_profile_overrides",
+    FEEDBACK_LOG: "gmail_ai_feedback_log",
+    USER_RULES: "gmail_ai_user_rules",
+    SYNC_HISTORY_ID: "gmail_ai_sync_history_id",
+    PENDING_MESSAGE_IDS: "gmail_ai_pending_message_ids",
+    TASKS: "gmail_ai_tasks",
+    LIST_VIEW: "gmail_ai_list_view",
+    LAST_DIGEST: "gmail_ai_last_digest",
+    SENDER_STATS: "gmail_ai_sender_stats",
+    UNSUBSCRIBED: "gmail_ai_unsubscribed",
+    CREATED_FILTERS: "gmail_ai_created_filters",
+  };
+  // What signing out clears: only data Reception can rebuild with a scan.
+  // Everything the user made or taught it (profile edits, rules, tasks,
+  // filters, feedback...) stays for when they sign back in.
+  const CACHE_KEYS = [
+    STORAGE_KEYS.USER_PROFILE,
+    STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP,
+    STORAGE_KEYS.ANALYSIS_CACHE,
+    STORAGE_KEYS.SYNC_HISTORY_ID,
+    STORAGE_KEYS.PENDING_MESSAGE_IDS,
+    STORAGE_KEYS.LAST_DIGEST,
+  ];
+  // Every Gmail account signed in to Reception, shared by all accounts (and
+  // with background.js, which scans each of them).
+  const ACCOUNTS_KEY = "gmail_ai_accounts";
+  const MAX_FEEDBACK_ENTRIES = 500; // Oldest feedback is dropped past this
+  const MAX_TASKS = 200; // Oldest to-do items are dropped past this
+  const MAX_TRACKED_SENDERS = 300; // Least recently seen senders are dropped past this
+  const MAX_SENDER_RECENT_EMAILS = 10; // Emails listed in a sender's history
+  const MAX_UNSUBSCRIBE_CANDIDATES = 20; // Senders listed in the unsubscribe report
+  const FILTER_PROPOSAL_MIN_EMAILS = 3; // Scanned emails before a low-priority domain gets a filter proposal
+  const FILTER_PREVIEW_LIMIT = 10; // Matching emails listed in a filter preview
+  const FILTER_APPLY_LIMIT = 500; // Existing emails a new filter is applied to
+  // Webmail domains everyone shares. Filters for their senders match the one
+  // address, never the whole domain.
+  const SHARED_MAIL_DOMAINS = [
+    "gmail.com",
+    "googlemail.com",
+    "outlook.com",
+    "hotmail.com",
+    "live.com",
+    "yahoo.com",
+    "icloud.com",
+    "me.com",
+    "aol.com",
+    "proton.me",
+    "protonmail.com",
+  ];
+  // Feedback that shows the user actually wants a sender's emails. Senders
+  // with little of it are the best unsubscribe candidates.
+  const ENGAGED_ACTIONS = [
+    "opened",
+    "replied",
+    "starred",
+    "liked",
+    "marked important",
+  ];
+  const DIGEST_MAX_EMAILS = 30; // Highest-scoring emails a digest covers
+  // The periods a digest can cover. Scans only keep the last
+  // SCAN_LOOKBACK_DAYS of email, so that's as far back as it goes.
+  const DIGEST_PERIODS = [
+    { days: 1, label: "the last 24 hours" },
+    { days: SCAN_LOOKBACK_DAYS, label: `the last ${SCAN_LOOKBACK_DAYS} days` },
+  ];
+  const MAX_ACTION_HISTORY = 10; // Undoable actions kept in "Recent Actions"
+  const TOAST_DURATION = 8000; // How long the undo toast stays up (ms)
+  // How likely an email is to be phishing, from safe to dangerous. Emails at
+  // "medium" or above get a warning on their card, and "high" ones are always
+  // scored below SCORE_THRESHOLD, however urgent they sound.
+  const RISK_LEVELS = ["none", "low", "medium", "high"];
+  const MAX_LINK_SIGNALS = 3; // Suspicious links listed per email
+  // Domains phishing most often pretends to be. Senders and links on
+  // lookalikes of these (or of the user's high-priority senders) are flagged.
+  const IMPERSONATED_DOMAINS = [
+    "paypal.com",
+    "apple.com",
+    "icloud.com",
+    "amazon.com",
+    "microsoft.com",
+    "office.com",
+    "outlook.com",
+    "google.com",
+    "gmail.com",
+    "netflix.com",
+    "facebook.com",
+    "instagram.com",
+    "linkedin.com",
+    "dropbox.com",
+    "docusign.com",
+    "chase.com",
+    "wellsfargo.com",
+    "bankofamerica.com",
+    "dhl.com",
+    "fedex.com",
+    "usps.com",
+  ];
+  // Real domains that happen to be one letter away from one of the above
+  // (ymail.com and gmail.com, apply.com and apple.com).
+  const LOOKALIKE_ALLOWLIST = [
+    "ymail.com",
+    "email.com",
+    "mail.com",
+    "apply.com",
+  ];
+  // The four lists that make up a user profile, in the order they're shown.
+  const PROFILE_LISTS = [
+    {
+      key: "highPrioritySenders",
+      label: "High-priority senders",
+      isSenderList: true,
+    },
+    { key: "highPriorityKeywords", label: "High-priority keywords" },
+    {
+      key: "lowPrioritySenders",
+      label: "Low-priority senders",
+      isSenderList: true,
+    },
+    { key: "lowPriorityKeywords", label: "Low-priority keywords" },
+  ];
+  // Only these headers are kept for cached emails; they're all the cards need.
+  const CACHED_HEADERS = [
+    "from",
+    "subject",
+    "date",
+    "list-unsubscribe",
+    "list-unsubscribe-post",
+  ];
+  // Where "File as Low Priority" puts emails, instead of leaving them in the inbox.
+  const LOW_PRIORITY_LABEL = "Reception/Low priority";
+
+  // The categories the AI sorts emails into, besides scoring them. Emails
+  // without one (e.g. scored by a rule) count as "other".
+  const CATEGORIES = {
+    personal: { label: "Personal", icon: "person" },
+    work: { label: "Work", icon: "work" },
+    finance: { label: "Finance & Bills", icon: "payments" },
+    travel: { label: "Travel", icon: "flight" },
+    shipping: { label: "Shipping", icon: "local_shipping" },
+    newsletters: { label: "Newsletters", icon: "newspaper" },
+    promotions: { label: "Promotions", icon: "sell" },
+    social: { label: "Social", icon: "group" },
+    security: { label: "Security Alerts", icon: "shield" },
+    other: { label: "Other", icon: "label" },
+  };
+
+  const SORT_ORDERS = {
+    score: {
+      label: "Highest score",
+      compare: (a, b) => b.analysisData.score - a.analysisData.score,
+    },
+    date: {
+      label: "Newest first",
+      compare: (a, b) => Number(b.internalDate) - Number(a.internalDate),
+    },
+    sender: {
+      label: "Sender (A–Z)",
+      compare: (a, b) =>
+        getEmailHeader(a, "From")
+          .toLowerCase()
+          .localeCompare(getEmailHeader(b, "From").toLowerCase()) ||
+        b.analysisData.score - a.analysisData.score,
+    },
+  };
+  // How the email list is filtered, sorted and grouped. The user's choices
+  // are saved under STORAGE_KEYS.LIST_VIEW.
+  const DEFAULT_LIST_VIEW = {
+    minScore: 0,
+    maxScore: 100,
+    sender: "",
+    category: "",
+    hideLowPriority: false,
+    sortBy: "score",
+    groupByCategory: false,
+  };
+
+  // Choices offered when drafting a reply, with the wording used in the prompt.
+  const REPLY_TONES = {
+    friendly: { label: "Friendly", prompt: "warm and friendly" },
+    formal: { label: "Formal", prompt: "polite and formal" },
+    direct: { label: "Direct", prompt: "brief and to the point" },
   };
-  let state = {
+  const REPLY_LENGTHS = {
+    short: { label: "Short", prompt: "one or two sentences" },
+    medium: { label: "Medium", prompt: "one short paragraph" },
+    long: { label: "Detailed", prompt: "two or three paragraphs" },
+  };
+  // Labels that card buttons switch on and off, with the button text for each
+  // state and what turning the label on counts as in the feedback log.
+  const TOGGLE_LABELS = {
+    STARRED: { on: "Unstar", off: "Star", feedback: "starred" },
+    IMPORTANT: {
+      on: "Mark Not Important",
+      off: "Mark Important",
+      feedback: "marked important",
+    },
+  };
+  // Label changes behind each bulk action, and what each counts as in the
+  // feedback log. `addLabelNames` are created on first use.
+  const BULK_ACTIONS = {
+    read: {
+      removeLabelIds: ["UNREAD"],
+      feedback: "read",
+      done: "marked as read",
+    },
+    archive: {
+      removeLabelIds: ["INBOX"],
+      feedback: "archived",
+      done: "archived",
+    },
+    trash: {
+      addLabelIds: ["TRASH"],
+      feedback: "deleted",
+      done: "moved to trash",
+    },
+    fileLowPriority: {
+      addLabelNames: [LOW_PRIORITY_LABEL],
+      removeLabelIds: ["INBOX"],
+      feedback: "archived",
+      done: `filed under "${LOW_PRIORITY_LABEL}"`,
+    },
+  };
+  const createInitialState = () => ({
     accessToken: null,
+    account: null, // Email address of the signed-in Gmail account
     isSignedIn: false,
     aiSession: null,
     summarizer: null,
     isTranslatorAvailable: false,
     translators: {},
-  };
+    labels: null, // The user's own Gmail labels, fetched on first use
+  });
+  let state = createInitialState();
   let ui = {};
+  // The emails currently shown as cards, and which of them are checked.
+  let renderedEmails = [];
+  let selectedEmailIds = new Set();
+  // Emails taken off the list (archived, trashed...) since the current scan
+  // started, so the scan doesn't bring them back when it shows or caches its
+  // results.
+  let removedEmailIds = new Set();
+  // The current list filters and sort order (see DEFAULT_LIST_VIEW), and the
+  // search text, which isn't saved between visits.
+  let listView = { ...DEFAULT_LIST_VIEW };
+  let searchQuery = "";
+  let searchTimer = null;
+  // Recent label changes that can be undone, newest first.
+  let actionHistory = [];
+  let nextActionId = 1;
+  let toastTimer = null;
+  // The token refresh in progress, if any. Requests that all hit an expired
+  // token at once wait for the same refresh.
+  let tokenRefresh = null;
+  // Stored data that's read, changed and saved back (the feedback log, sender
+  // stats) is updated one change at a time through this chain.
+  let storageUpdates = Promise.resolve();
+  // Which view fills the content area: "emails", "todo", "digest",
+  // "unsubscribe", "profile" or "sender".
+  let activeView = "emails";
 
   // --- HELPERS ---
 
+  /**
+   * Where a key is stored for the signed-in account, e.g.
+   * "gmail_ai_user_profile::alice@example.com". Keep in sync with
+   * background.js.
+   */
+  const accountKey = (key) =>
+    state.account ? `${key}::${state.account}` : key;
+
   /**
    * A small utility to easily get, set, or clear data from Chrome's local storage.
    * This is how we save the user profile so we don't have to recreate it every time.
+   * Everything is stored per Gmail account, so a work and a personal account
+   * each keep their own profile, caches and settings.
    */
   const storage = {
-    get: (keys) => chrome.storage.local.get(keys),
-    set: (items) => chrome.storage.local.set(items),
-    clear: () => chrome.storage.local.remove(Object.values(STORAGE_KEYS)),
+    get: async (keys) => {
+      const list = [].concat(keys);
+      const data = await chrome.storage.local.get(list.map(accountKey));
+      return Object.fromEntries(
+        list
+          .filter((key) => accountKey(key) in data)
+          .map((key) => [key, data[accountKey(key)]])
+      );
+    },
+    set: (items) =>
+      chrome.storage.local.set(
+        Object.fromEntries(
+          Object.entries(items).map(([key, value]) => [accountKey(key), value])
+        )
+      ),
+    clearCaches: () => chrome.storage.local.remove(CACHE_KEYS.map(accountKey)),
   };
 
+  /**
+   * Runs `update` (which reads, changes and saves stored data) once every
+   * update queued before it has finished, so actions fired together, e.g. a
+   * bulk archive and the feedback it records, don't overwrite each other.
+   */
+  function queueStorageUpdate(update) {
+    const result = storageUpdates.then(update);
+    storageUpdates = result.catch(() => {});
+    return result;
+  }
+
+  // This tab's place in Gmail's list of signed-in accounts (the N in /mail/u/N/).
+  const getTabAccountIndex = () =>
+    Number(location.pathname.match(/\/mail\/u\/(\d+)/)?.[1] || 0);
+
+  /**
+   * Asks Gmail which address this tab's account has, from the inbox feed
+   * Gmail serves for each account index ("Gmail - Inbox for
+   * alice@example.com"). Unlike the page title or Gmail's own UI, the feed
+   * is there before the page has finished loading. Returns null if Gmail
+   * doesn't say.
+   */
+  async function fetchTabAccountEmail() {
+    const response = await fetch(`/mail/u/${getTabAccountIndex()}/feed/atom`, {
+      credentials: "same-origin",
+    });
+    if (!response.ok) return null;
+    const feed = new DOMParser().parseFromString(
+      await response.text(),
+      "application/xml"
+    );
+    const title = feed.querySelector("feed > title")?.textContent || "";
+    return title.match(/[^\s@]+@[^\s@]+$/)?.[0].toLowerCase() || null;
+  }
+
+  /**
+   * Links to a Gmail view (e.g. "drafts" or "all/<threadId>") in the
+   * signed-in account. Going by address rather than /u/N/ keeps links right
+   * in other tabs and browsers, where the account's place in the list may
+   * differ.
+   */
+  const gmailUrl = (hash) =>
+    state.account
+      ? `https://mail.google.com/mail/?authuser=${encodeURIComponent(
+          state.account
+        )}#${hash}`
+      : `https://mail.google.com/mail/u/${getTabAccountIndex()}/#${hash}`;
+
   function escapeHtml(s) {
     if (!s) return "";
     return s.replace(
@@ -47,574 +391,5115 @@
     );
   }
 
-  // --- GMAIL API & AI LOGIC ---
+  const getCategory = (email) =>
+    CATEGORIES[email.analysisData?.category]
+      ? email.analysisData.category
+      : "other";
 
   /**
-   * Fetches a list of emails from the user's Gmail account using a search query.
-   * For example, it can find all unread emails.
+   * The rendered emails that pass the search and list filters, i.e. the ones
+   * with a card on screen.
    */
-  async function fetchMessages(query, maxResults = 30) {
-    if (!state.accessToken) return [];
-    try {
-      const listRes = await fetch(
-        `https://gmail.googleapis.com/gmail/v1/users/me/messages?q=${encodeURIComponent(
-          query
-        )}&maxResults=${maxResults}`,
-        {
-          headers: {
-            Authorization: `Bearer ${state.accessToken}`,
-          },
-        }
-      );
-      if (!listRes.ok) throw new Error(`API list failed: ${listRes.status}`);
-      const listJson = await listRes.json();
-      if (!listJson.messages) return [];
-
-      const details = [];
-      const concurrency = 8;
-      for (let i = 0; i < listJson.messages.length; i += concurrency) {
-        const batch = listJson.messages.slice(i, i + concurrency);
-        const promises = batch.map((m) =>
-          fetch(
-            `https://gmail.googleapis.com/gmail/v1/users/me/messages/${m.id}?format=full`,
-            {
-              headers: {
-                Authorization: `Bearer ${state.accessToken}`,
-              },
-            }
-          ).then((r) => r.json())
-        );
-        details.push(...(await Promise.all(promises)));
-      }
-      return details;
-    } catch (err) {
-      console.error(`Failed to fetch messages for query "${query}":`, err);
-      return [];
-    }
-  }
+  const getVisibleEmails = () => renderedEmails.filter(matchesListView);
 
   /**
-   * Creates a user profile by analyzing their past email activity.
-   * It looks at important, unread, spam, and trashed emails to understand
-   * what the user considers high or low priority.
+   * Turns a string into a short, stable hash. We use it to tell whether the
+   * user profile has changed since emails were last scored.
    */
-  async function generateUserProfile() {
-    // This function remains the same as your provided version
-    if (!state.aiSession) throw new Error("AI session not available.");
-    setStatus("Analyzing your historical email priorities...");
-    const [importantEmails, unreadEmails, spamEmails, trashedEmails] =
-      await Promise.all([
-        fetchMessages("is:important or is:starred", 15),
-        fetchMessages("is:unread older_than:2d", 15),
-        fetchMessages("in:spam", 10),
-        fetchMessages("in:trash", 10),
-      ]);
-    const toSimpleList = (emails) =>
-      emails.map((e) => {
-        const headers = e.payload?.headers || [];
-        const from =
-          (headers.find((h) => h.name.toLowerCase() === "from") || {}).value ||
-          "";
-        const subject =
-          (headers.find((h) => h.name.toLowerCase() === "subject") || {})
-            .value || "";
-        return {
-          from,
-          subject,
-        };
-      });
-    const prompt = `Analyze the user's email behavior to create a profile of their priorities.\n- HIGH PRIORITY emails (user marked as important or starred): ${JSON.stringify(
-      toSimpleList(importantEmails)
-    )}\n- IGNORED emails (user left unread): ${JSON.stringify(
-      toSimpleList(unreadEmails)
-    )}\n- JUNK emails (found in spam): ${JSON.stringify(
-      toSimpleList(spamEmails)
-    )}\n- DELETED emails (found in trash): ${JSON.stringify(
-      toSimpleList(trashedEmails)
-    )}\n\nBased on this, generate a JSON object summarizing the user's preferences. This object should identify:\n1. 'highPrioritySenders': Senders from important/starred emails.\n2. 'highPriorityKeywords': Keywords from subjects of important/starred emails.\n3. 'lowPrioritySenders': Senders often found in unread, spam, or trash.\n4. 'lowPriorityKeywords': Keywords (like 'promotion', 'newsletter') found in ignored emails.\n\nReturn ONLY the JSON object.`;
-    const schema = {
-      type: "object",
-      properties: {
-        highPrioritySenders: {
-          type: "array",
-          items: {
-            type: "string",
-          },
-        },
-        highPriorityKeywords: {
-          type: "array",
-          items: {
-            type: "string",
-          },
-        },
-        lowPrioritySenders: {
-          type: "array",
-          items: {
-            type: "string",
-          },
-        },
-        lowPriorityKeywords: {
-          type: "array",
-          items: {
-            type: "string",
-          },
-        },
-      },
-      required: [
-        "highPrioritySenders",
-        "highPriorityKeywords",
-        "lowPrioritySenders",
-        "lowPriorityKeywords",
-      ],
-    };
-    try {
-      setStatus("Generating user profile with AI...");
-      const result = await state.aiSession.prompt(prompt, {
-        responseConstraint: schema,
-      });
-      const userProfile = JSON.parse(result);
-      await storage.set({
-        [STORAGE_KEYS.USER_PROFILE]: userProfile,
-        [STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP]: Date.now(),
-      });
-      return userProfile;
-    } catch (err) {
-      console.error("Failed to parse user profile from AI:", err);
-      throw new Error("Could not generate user behavior profile.");
+  function hashString(s) {
+    let hash = 5381;
+    for (let i = 0; i < s.length; i++) {
+      hash = ((hash << 5) + hash + s.charCodeAt(i)) | 0;
     }
+    return (hash >>> 0).toString(36);
   }
 
   /**
-   * Fetches recent unread emails and sends them to the AI for scoring.
-   * It processes emails in small batches to keep the UI responsive and
-   * updates the screen as each batch is completed.
+   * Identifies everything a score depends on besides the email itself, so
+   * cached scores are dropped when the profile or the rules change.
    */
-  async function scoreRecentEmails(userProfile, onBatchProcessed) {
-    if (!state.aiSession) throw new Error("AI session not available.");
-    setStatus("Fetching recent unread emails...");
+  const getAnalysisKey = (userProfile, rules) =>
+    hashString(JSON.stringify({ userProfile, rules }));
 
-    const twoDaysAgo = new Date();
-    twoDaysAgo.setDate(twoDaysAgo.getDate() - 2);
-    const timestampInSeconds = Math.floor(twoDaysAgo.getTime() / 1000);
-    const query = `is:inbox is:unread after:${timestampInSeconds}`;
-    const recentEmails = await fetchMessages(query, 7);
+  /**
+   * Gmail snippets come HTML-escaped (e.g. "&#39;"), so this turns them back
+   * into plain text before we show or escape them ourselves.
+   */
+  function decodeHtmlEntities(s) {
+    if (!s) return "";
+    return new DOMParser().parseFromString(s, "text/html").documentElement
+      .textContent;
+  }
 
-    if (recentEmails.length === 0) {
-      setStatus(
-        "No unread emails in the last 2 days. You're all caught up! 🎉"
-      );
-      onBatchProcessed([]);
-      return;
+  // --- MESSAGE BODIES ---
+
+  /**
+   * Decodes the base64url data Gmail uses for message parts and attachments
+   * into raw bytes.
+   */
+  const base64UrlToBytes = (data) =>
+    Uint8Array.from(atob(data.replace(/-/g, "+").replace(/_/g, "/")), (c) =>
+      c.charCodeAt(0)
+    );
+
+  /**
+   * Decodes the base64url data Gmail uses for message parts into text, using
+   * the part's declared charset when the browser knows it.
+   */
+  function decodeBase64Url(data, charset = "utf-8") {
+    const bytes = base64UrlToBytes(data);
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch {
+      return new TextDecoder("utf-8").decode(bytes);
     }
+  }
 
-    let processedEmails = recentEmails.map((email) => ({
-      ...email,
-      analysisData: {
-        id: email.id,
-        score: -1,
-        summarizedTitle: "Analyzing...",
-        summaryPoints: [], // Will be populated by the prompt
-        positiveReasons: [],
-        negativeReasons: [],
-      },
-    }));
-    onBatchProcessed(processedEmails);
+  /**
+   * Encodes text as UTF-8 and then base64, as MIME expects.
+   */
+  function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+    bytes.forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+  }
 
-    const BATCH_SIZE = 5;
+  /**
+   * Encodes text in the base64url form the Gmail API takes for raw messages.
+   */
+  function encodeBase64Url(text) {
+    return encodeBase64(text)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
 
-    for (let i = 0; i < recentEmails.length; i += BATCH_SIZE) {
-      const batch = recentEmails.slice(i, i + BATCH_SIZE);
-      setStatus(
-        `Analyzing emails ${i + 1}-${Math.min(
-          i + BATCH_SIZE,
-          recentEmails.length
-        )} of ${recentEmails.length}...`
-      );
+  /**
+   * Encodes a header value as a MIME encoded-word if it isn't plain ASCII.
+   */
+  function encodeHeaderValue(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${encodeBase64(value)}?=`;
+  }
 
-      const emailsToScore = batch.map((email) => {
-        const headers = email.payload?.headers || [];
-        const from =
-          (headers.find((h) => h.name.toLowerCase() === "from") || {}).value ||
-          "";
-        const subject =
-          (headers.find((h) => h.name.toLowerCase() === "subject") || {})
-            .value || "";
-        return {
-          id: email.id,
-          from,
-          subject,
-          snippet: email.snippet || "",
-        };
-      });
+  /**
+   * Builds an RFC 2822 message in the base64url form the Gmail API takes.
+   * `headers` are extra header lines, e.g. for threading a reply.
+   */
+  function buildMimeMessage({
+    to,
+    subject,
+    body,
+    contentType = "text/plain",
+    headers = [],
+  }) {
+    const allHeaders = [
+      // Non-ASCII display names would need encoding, so use the bare address.
+      `To: ${/^[\x20-\x7e]*$/.test(to) ? to : extractEmailAddress(to)}`,
+      `Subject: ${encodeHeaderValue(subject)}`,
+      ...headers,
+      "MIME-Version: 1.0",
+      `Content-Type: ${contentType}; charset="UTF-8"`,
+      "Content-Transfer-Encoding: base64",
+    ];
+    const encodedBody = encodeBase64(body).replace(/.{76}/g, "$&\r\n");
+    return encodeBase64Url(`${allHeaders.join("\r\n")}\r\n\r\n${encodedBody}`);
+  }
 
-      const prompt = `Based on the user profile below, analyze each email in the provided array.\nUSER PROFILE: ${JSON.stringify(
-        userProfile
-      )}\nEMAILS TO ANALYZE: ${JSON.stringify(
-        emailsToScore
-      )}\n\nReturn a JSON array where each object contains:\n1. 'id': The original email ID.\n2. 'score': A relevance score from 0 to 100.\n3. 'summarizedTitle': A concise, descriptive title (max 10 words).\n4. 'summaryPoints': An array of strings with 2-4 key points summarizing the email's content.\n5. 'positiveReasons': An array of strings explaining why it's important.\n6. 'negativeReasons': An array of strings for why it might be low priority.\nMaintain the same order as the input array.`;
+  /**
+   * Walks a message's MIME tree and returns the first inline text/plain and
+   * text/html parts (attachments are skipped).
+   */
+  function findTextParts(payload) {
+    const found = {};
+    const walk = (part) => {
+      if (!part) return;
+      const mimeType = (part.mimeType || "").toLowerCase();
+      if (
+        !part.filename &&
+        part.body?.data &&
+        (mimeType === "text/plain" || mimeType === "text/html") &&
+        !found[mimeType]
+      ) {
+        found[mimeType] = part;
+      }
+      (part.parts || []).forEach(walk);
+    };
+    walk(payload);
+    return found;
+  }
 
-      const schema = {
-        type: "array",
-        items: {
-          type: "object",
-          properties: {
-            id: { type: "string" },
-            score: { type: "number" },
-            summarizedTitle: { type: "string" },
-            summaryPoints: { type: "array", items: { type: "string" } },
-            positiveReasons: { type: "array", items: { type: "string" } },
-            negativeReasons: { type: "array", items: { type: "string" } },
-          },
-          required: [
-            "id",
-            "score",
-            "summarizedTitle",
-            "summaryPoints",
-            "positiveReasons",
-            "negativeReasons",
-          ],
-        },
-      };
+  function getPartCharset(part) {
+    const contentType = (part.headers || []).find(
+      (h) => h.name.toLowerCase() === "content-type"
+    )?.value;
+    return contentType?.match(/charset="?([^";\s]+)"?/i)?.[1] || "utf-8";
+  }
 
-      try {
-        const result = await state.aiSession.prompt(prompt, {
-          responseConstraint: schema,
-        });
-        const batchResults = JSON.parse(result);
+  /**
+   * Turns an HTML email into readable plain text. Quoted replies that mail
+   * clients wrap in their own elements are dropped along the way.
+   */
+  function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    doc
+      .querySelectorAll(
+        "script, style, head, blockquote, .gmail_quote, #divRplyFwdMsg, #appendonsend"
+      )
+      .forEach((el) => el.remove());
+    doc
+      .querySelectorAll("br, p, div, li, tr, h1, h2, h3, h4, h5, h6")
+      .forEach((el) => el.after("\n"));
+    return (doc.body?.textContent || "")
+      .replace(/[ \t\u00a0]+/g, " ")
+      .replace(/ *\n */g, "\n");
+  }
 
-        if (Array.isArray(batchResults)) {
-          batchResults.forEach((analysisResult) => {
-            const emailIndex = processedEmails.findIndex(
-              (e) => e.id === analysisResult.id
-            );
-            if (emailIndex > -1) {
-              processedEmails[emailIndex].analysisData = analysisResult;
-            }
-          });
-        }
-      } catch (err) {
-        console.error(
-          `Batch scoring failed for emails ${i + 1}-${i + batch.length}:`,
-          err
-        );
-        batch.forEach((failedEmail) => {
-          const emailIndex = processedEmails.findIndex(
-            (e) => e.id === failedEmail.id
-          );
-          if (emailIndex > -1) {
-            processedEmails[emailIndex].analysisData = {
-              id: failedEmail.id,
-              score: 0,
-              summarizedTitle: "AI analysis failed for this email.",
-              summaryPoints: [],
-              positiveReasons: [],
-              negativeReasons: ["AI model failed to process this batch."],
-            };
-          }
-        });
+  /**
+   * Cuts quoted replies, forwarded history and signatures off a plain-text
+   * body, so only what the sender actually wrote is left.
+   */
+  function stripQuotedText(text) {
+    const lines = text.split(/\r?\n/);
+    const kept = [];
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (
+        /^On .+wrote:$/.test(trimmed) ||
+        /^-{2,} ?Original Message ?-{2,}$/i.test(trimmed) ||
+        /^-{2,} ?Forwarded message ?-{2,}$/i.test(trimmed) ||
+        /^_{10,}$/.test(trimmed) ||
+        line === "-- " ||
+        trimmed === "--" ||
+        /^Sent from my /.test(trimmed)
+      ) {
+        break;
       }
-      onBatchProcessed(processedEmails);
+      if (!trimmed.startsWith(">")) kept.push(line);
     }
+    return kept
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
   }
 
   /**
-   * A general function to change an email's labels in Gmail.
-   * This is used by other functions to mark as read, delete, etc.
+   * Extracts the readable body of a full (`format=full`) Gmail message.
+   * Prefers the plain-text part, falls back to the HTML part, and finally to
+   * Gmail's short snippet.
    */
-  async function modifyEmail(messageId, addLabelIds = [], removeLabelIds = []) {
-    if (!state.accessToken) throw new Error("Authentication token not found.");
-    try {
-      const response = await fetch(
-        `https://gmail.googleapis.com/gmail/v1/users/me/messages/${messageId}/modify`,
-        {
+  function extractMessageBody(email) {
+    const { "text/plain": plain, "text/html": html } = findTextParts(
+      email.payload
+    );
+    let text = "";
+    if (plain) {
+      text = decodeBase64Url(plain.body.data, getPartCharset(plain));
+    } else if (html) {
+      text = htmlToText(decodeBase64Url(html.body.data, getPartCharset(html)));
+    }
+    return stripQuotedText(text) || decodeHtmlEntities(email.snippet);
+  }
+
+  /**
+   * Loads every message (with bodies) of the conversation an email belongs to.
+   */
+  async function fetchConversation(email) {
+    const [thread] = await fetchThreads([email.threadId]);
+    if (!thread?.messages) throw new Error("Could not load the conversation.");
+    return thread.messages;
+  }
+
+  /**
+   * Turns a conversation into plain text, oldest message first, with each
+   * message's sender and date above its body.
+   */
+  function conversationToText(messages) {
+    return messages
+      .map(
+        (message) =>
+          `From: ${getEmailHeader(message, "From")}\nDate: ${getEmailHeader(
+            message,
+            "Date"
+          )}\n\n${extractMessageBody(message)}`
+      )
+      .join("\n\n---\n\n");
+  }
+
+  /**
+   * Splits long text into pieces of at most `maxLength` characters, breaking
+   * between paragraphs (or lines, or words) wherever possible.
+   */
+  function chunkText(text, maxLength) {
+    const chunks = [];
+    let rest = text;
+    while (rest.length > maxLength) {
+      const window = rest.slice(0, maxLength);
+      const breakAt = Math.max(
+        window.lastIndexOf("\n\n"),
+        window.lastIndexOf("\n"),
+        window.lastIndexOf(" ")
+      );
+      const end = breakAt > maxLength / 2 ? breakAt : maxLength;
+      chunks.push(rest.slice(0, end).trim());
+      rest = rest.slice(end);
+    }
+    if (rest.trim()) chunks.push(rest.trim());
+    return chunks;
+  }
+
+  /**
+   * Streams a summary of text that may be longer than the Summarizer can take
+   * in one go. Long text is summarized piece by piece first, then the partial
+   * summaries are summarized together. `context` tells the Summarizer what
+   * the text is and what to focus on.
+   */
+  async function summarizeLongText(
+    text,
+    { context = "", onProgress = () => {} } = {}
+  ) {
+    const chunks = chunkText(text, SUMMARY_CHUNK_LENGTH);
+    if (chunks.length <= 1) {
+      return state.summarizer.summarizeStreaming(text, { context });
+    }
+
+    const partialSummaries = [];
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress(i + 1, chunks.length);
+      partialSummaries.push(
+        await state.summarizer.summarize(chunks[i], { context })
+      );
+    }
+    return state.summarizer.summarizeStreaming(
+      partialSummaries.join("\n").slice(0, SUMMARY_CHUNK_LENGTH),
+      { context }
+    );
+  }
+
+  // --- ATTACHMENTS ---
+
+  /**
+   * Lists the files attached to a full (`format=full`) Gmail message, as
+   * `{ messageId, attachmentId, filename, mimeType, size }`. Images embedded
+   * in the body (logos, signatures) aren't counted as attachments.
+   */
+  function findAttachments(message) {
+    const attachments = [];
+    const walk = (part) => {
+      if (!part) return;
+      const header = (name) =>
+        (part.headers || []).find((h) => h.name.toLowerCase() === name)
+          ?.value || "";
+      const isEmbeddedImage =
+        (part.mimeType || "").startsWith("image/") &&
+        (/^inline/i.test(header("content-disposition")) ||
+          (header("content-id") &&
+            !/^attachment/i.test(header("content-disposition"))));
+      if (part.filename && part.body?.attachmentId && !isEmbeddedImage) {
+        attachments.push({
+          messageId: message.id,
+          attachmentId: part.body.attachmentId,
+          filename: part.filename,
+          mimeType: (part.mimeType || "application/octet-stream").toLowerCase(),
+          size: part.body.size || 0,
+        });
+      }
+      (part.parts || []).forEach(walk);
+    };
+    walk(message.payload);
+    return attachments;
+  }
+
+  /**
+   * Lists the files attached anywhere in an email's conversation, newest
+   * message first.
+   */
+  const getConversationAttachments = (email) =>
+    [...(email.conversation || [email])]
+      .reverse()
+      .flatMap(findAttachments)
+      .slice(0, MAX_EMAIL_ATTACHMENTS);
+
+  function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  const attachmentIcon = ({ mimeType }) => {
+    if (mimeType === "application/pdf") return "picture_as_pdf";
+    if (mimeType === "text/calendar") return "event";
+    if (mimeType.startsWith("image/")) return "image";
+    if (/zip|compressed|tar/.test(mimeType)) return "folder_zip";
+    if (/spreadsheet|excel|csv/.test(mimeType)) return "table_chart";
+    return "description";
+  };
+
+  /**
+   * Downloads an attachment from Gmail and saves it to the user's computer.
+   */
+  async function downloadAttachment(attachment) {
+    const bytes = await fetchAttachment(
+      attachment.messageId,
+      attachment.attachmentId
+    );
+    downloadFile(attachment.filename, bytes, attachment.mimeType);
+  }
+
+  // --- CALENDAR INVITES ---
+
+  const unescapeIcsText = (value) =>
+    value.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+
+  const escapeIcsText = (value) =>
+    (value || "")
+      .replace(/\\/g, "\\\\")
+      .replace(/\n/g, "\\n")
+      .replace(/([,;])/g, "\\$1");
+
+  /**
+   * Converts a wall-clock time in an IANA time zone (e.g. "Europe/Paris") to
+   * a timestamp. Throws if the browser doesn't know the zone.
+   */
+  function zonedTimeToTimestamp(fields, timeZone) {
+    const format = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    const offsetAt = (timestamp) => {
+      const parts = Object.fromEntries(
+        format.formatToParts(timestamp).map((p) => [p.type, Number(p.value)])
+      );
+      return (
+        Date.UTC(
+          parts.year,
+          parts.month - 1,
+          parts.day,
+          parts.hour,
+          parts.minute,
+          parts.second
+        ) - timestamp
+      );
+    };
+    const wallClock = Date.UTC(...fields);
+    // The offset can change at the time itself (DST), so check it twice.
+    const guess = wallClock - offsetAt(wallClock);
+    return wallClock - offsetAt(guess);
+  }
+
+  /**
+   * Reads an iCalendar date or date-time (DTSTART, DTEND) into a timestamp.
+   * UTC times end in "Z"; others are in their TZID zone, or local time when
+   * the zone is missing or one the browser doesn't know (e.g. Outlook's
+   * "Pacific Standard Time"). Plain dates are all-day.
+   */
+  function parseIcsDate({ value, params }) {
+    const match = value.match(
+      /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/
+    );
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second = "0", utc] = match;
+    if (!hour || params.VALUE === "DATE") {
+      return { time: new Date(year, month - 1, day).getTime(), allDay: true };
+    }
+    const fields = [year, month - 1, day, hour, minute, second].map(Number);
+    if (utc) return { time: Date.UTC(...fields), allDay: false };
+    if (params.TZID) {
+      try {
+        return {
+          time: zonedTimeToTimestamp(fields, params.TZID.replace(/^\//, "")),
+          allDay: false,
+        };
+      } catch {
+        // Not an IANA zone; local time is the best guess.
+      }
+    }
+    return { time: new Date(...fields).getTime(), allDay: false };
+  }
+
+  /**
+   * Reads an iCalendar DURATION (e.g. "PT1H30M") into milliseconds.
+   */
+  function parseIcsDuration(value) {
+    const match = (value || "").match(
+      /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+    );
+    if (!match) return 0;
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map((n, i) =>
+      i === 1 ? n : Number(n) || 0
+    );
+    const ms =
+      ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) *
+      1000;
+    return sign === "-" ? -ms : ms;
+  }
+
+  /**
+   * Parses the first event of an iCalendar (.ics) invite into what a card
+   * shows: `{ uid, sequence, method, cancelled, title, location, organizer,
+   * start, end, allDay, recurring }`. Returns null if there's no event with
+   * a start time.
+   */
+  function parseIcs(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    let method = "";
+    let event = null;
+    let depth = 0;
+    for (const line of lines) {
+      const match = line.match(/^([\w-]+)((?:;(?:[^:";]|"[^"]*")*)*):(.*)$/);
+      if (!match) continue;
+      const [, rawName, rawParams, value] = match;
+      const name = rawName.toUpperCase();
+      const params = Object.fromEntries(
+        [...rawParams.matchAll(/;([^=;]+)=("[^"]*"|[^;]*)/g)].map(
+          ([, k, v]) => [k.toUpperCase(), v.replace(/^"|"$/g, "")]
+        )
+      );
+      if (name === "METHOD" && !event) method = value.trim().toUpperCase();
+      if (name === "BEGIN" && value.toUpperCase() === "VEVENT" && !event) {
+        event = {};
+      } else if (event && name === "BEGIN") {
+        depth++; // Alarms etc. inside the event have properties of their own.
+      } else if (event && name === "END" && depth > 0) {
+        depth--;
+      } else if (event && name === "END" && value.toUpperCase() === "VEVENT") {
+        break;
+      } else if (event && depth === 0 && !(name in event)) {
+        event[name] = { value: value.trim(), params };
+      }
+    }
+    if (!event?.DTSTART) return null;
+
+    const start = parseIcsDate(event.DTSTART);
+    if (!start) return null;
+    const end = event.DTEND && parseIcsDate(event.DTEND);
+    const duration = event.DURATION
+      ? parseIcsDuration(event.DURATION.value)
+      : start.allDay
+      ? 24 * 60 * 60 * 1000
+      : 0;
+    return {
+      uid: event.UID?.value || "",
+      sequence: Number(event.SEQUENCE?.value) || 0,
+      method,
+      cancelled:
+        method === "CANCEL" ||
+        event.STATUS?.value.toUpperCase() === "CANCELLED",
+      title: unescapeIcsText(event.SUMMARY?.value || "") || "(no title)",
+      location: unescapeIcsText(event.LOCATION?.value || ""),
+      organizer: event.ORGANIZER
+        ? {
+            name: event.ORGANIZER.params.CN || "",
+            email: event.ORGANIZER.value.replace(/^mailto:/i, ""),
+          }
+        : null,
+      start: start.time,
+      end: end ? end.time : start.time + duration,
+      allDay: start.allDay,
+      recurring: !!event.RRULE,
+    };
+  }
+
+  /**
+   * Finds the newest calendar invite in an email's conversation and parses
+   * it. Invites come as text/calendar parts, either inline or as an .ics
+   * attachment that has to be downloaded first. Returns null if there isn't
+   * one (or it can't be read).
+   */
+  async function findInvite(email) {
+    const findCalendarPart = (part) => {
+      if (!part) return null;
+      const mimeType = (part.mimeType || "").toLowerCase();
+      if (
+        (mimeType === "text/calendar" ||
+          mimeType === "application/ics" ||
+          /\.ics$/i.test(part.filename || "")) &&
+        (part.body?.data || part.body?.attachmentId)
+      ) {
+        return part;
+      }
+      return (part.parts || []).map(findCalendarPart).find(Boolean) || null;
+    };
+    const messages = [...(email.conversation || [email])].reverse();
+    for (const message of messages) {
+      const part = findCalendarPart(message.payload);
+      if (!part) continue;
+      try {
+        const text = part.body.data
+          ? decodeBase64Url(part.body.data, getPartCharset(part))
+          : new TextDecoder().decode(
+              await fetchAttachment(message.id, part.body.attachmentId)
+            );
+        const invite = parseIcs(text);
+        if (invite) return { ...invite, messageId: message.id };
+      } catch (err) {
+        console.error(`Failed to read the invite in email ${message.id}:`, err);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Describes when an event is, in the user's own time zone, e.g.
+   * "Tue, Oct 20, 3:00 – 4:00 PM".
+   */
+  function formatInviteTime(invite) {
+    if (invite.allDay) {
+      const options = { weekday: "short", month: "short", day: "numeric" };
+      const days = Math.round((invite.end - invite.start) / 86400000);
+      return days > 1
+        ? `${new Date(invite.start).toLocaleDateString(
+            undefined,
+            options
+          )} – ${new Date(invite.end - 1).toLocaleDateString(
+            undefined,
+            options
+          )} (all day)`
+        : `${new Date(invite.start).toLocaleDateString(
+            undefined,
+            options
+          )} (all day)`;
+    }
+    return new Intl.DateTimeFormat(undefined, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    }).formatRange(new Date(invite.start), new Date(invite.end));
+  }
+
+  /**
+   * Finds the other invites in the list whose events overlap this one.
+   * Cancelled events and other versions of the same event don't count.
+   */
+  const findInviteConflicts = (email, emails) =>
+    email.invite && !email.invite.cancelled
+      ? emails.filter(
+          (other) =>
+            other.id !== email.id &&
+            other.invite &&
+            !other.invite.cancelled &&
+            other.invite.uid !== email.invite.uid &&
+            other.invite.start < email.invite.end &&
+            email.invite.start < other.invite.end
+        )
+      : [];
+
+  /**
+   * Writes an invite back out as an .ics file. Exports are published as a
+   * plain event (METHOD:PUBLISH), so importing one adds it to a calendar
+   * rather than starting another invitation; RSVPs are a METHOD:REPLY with
+   * the user's answer in `extraLines`.
+   */
+  function buildIcs(invite, method = "PUBLISH", extraLines = []) {
+    const formatUtc = (time) =>
+      new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const formatDate = (time) => {
+      const date = new Date(time);
+      if (invite.allDay) {
+        return `;VALUE=DATE:${date.getFullYear()}${String(
+          date.getMonth() + 1
+        ).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+      }
+      return `:${formatUtc(time)}`;
+    };
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:-//${CLIENT_DISPLAY_NAME}//EN`,
+      `METHOD:${method}`,
+      "BEGIN:VEVENT",
+      `UID:${invite.uid || `${invite.start}@reception`}`,
+      `SEQUENCE:${invite.sequence}`,
+      // Always a UTC date-time, even for all-day events (RFC 5545 3.8.7.2).
+      `DTSTAMP:${formatUtc(Date.now())}`,
+      `DTSTART${formatDate(invite.start)}`,
+      `DTEND${formatDate(invite.end)}`,
+      `SUMMARY:${escapeIcsText(invite.title)}`,
+      ...(invite.location
+        ? [`LOCATION:${escapeIcsText(invite.location)}`]
+        : []),
+      ...(invite.organizer
+        ? [
+            `ORGANIZER${
+              invite.organizer.name
+                ? `;CN="${invite.organizer.name.replace(/"/g, "")}"`
+                : ""
+            }:mailto:${invite.organizer.email}`,
+          ]
+        : []),
+      ...extraLines,
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ];
+    // Lines longer than 75 characters are folded onto indented continuations.
+    return lines
+      .map((line) => line.match(/.{1,73}/g).join("\r\n "))
+      .join("\r\n");
+  }
+
+  function exportInvite(invite) {
+    const filename = `${invite.title.replace(/[\\/:*?"<>|]+/g, "_")}.ics`;
+    downloadFile(filename, buildIcs(invite), "text/calendar");
+  }
+
+  /**
+   * Saves an RSVP to the organizer as a Gmail draft: an iCalendar REPLY with
+   * the user's answer, which calendars understand once it's sent. Like every
+   * other email Reception writes, it's never sent for the user.
+   */
+  async function saveRsvpDraft(invite, partstat) {
+    const { emailAddress } = await fetchMailboxProfile();
+    const ics = buildIcs(invite, "REPLY", [
+      `ATTENDEE;PARTSTAT=${partstat}:mailto:${emailAddress}`,
+    ]);
+    await saveDraft(
+      buildMimeMessage({
+        to: invite.organizer.email,
+        subject: `${RSVP_RESPONSES[partstat].subject}: ${invite.title}`,
+        body: ics,
+        contentType: "text/calendar; method=REPLY",
+      })
+    );
+  }
+
+  // --- THREADS ---
+
+  /**
+   * Builds the email a card is made from out of a Gmail thread: its latest
+   * unread inbox message, plus the IDs of the messages the card's actions
+   * apply to and the full conversation for scoring. Returns null if nothing
+   * in the thread is unread in the inbox any more.
+   */
+  function toThreadEmail(thread) {
+    const messages = thread.messages || [];
+    const inboxMessages = messages.filter((m) =>
+      (m.labelIds || []).includes("INBOX")
+    );
+    const unreadMessages = inboxMessages.filter((m) =>
+      m.labelIds.includes("UNREAD")
+    );
+    const latest = unreadMessages[unreadMessages.length - 1];
+    if (!latest) return null;
+    return {
+      ...latest,
+      threadMessageIds: inboxMessages.map((m) => m.id),
+      unreadMessageIds: unreadMessages.map((m) => m.id),
+      threadMessageCount: messages.length,
+      conversation: messages,
+    };
+  }
+
+  /**
+   * Describes the last few messages of an email's conversation for the
+   * scoring prompt, oldest first. The latest message gets the longest
+   * excerpt; `fromMe` marks replies the user sent themselves.
+   */
+  function describeConversation(email) {
+    const messages = (email.conversation || [email]).slice(
+      -MAX_THREAD_CONTEXT_MESSAGES
+    );
+    return messages.map((message, i) => {
+      const attachments = findAttachments(message).map((a) => ({
+        filename: a.filename,
+        type: a.mimeType,
+        size: formatFileSize(a.size),
+      }));
+      return {
+        from: getEmailHeader(message, "From"),
+        date: getEmailHeader(message, "Date"),
+        fromMe: (message.labelIds || []).includes("SENT"),
+        text: extractMessageBody(message).slice(
+          0,
+          i === messages.length - 1
+            ? BODY_EXCERPT_LENGTH
+            : THREAD_EXCERPT_LENGTH
+        ),
+        ...(attachments.length > 0 && { attachments }),
+      };
+    });
+  }
+
+  /**
+   * The IDs of the unread messages behind some cards. Emails scored before
+   * cards were grouped by thread only know their own ID.
+   */
+  const getUnreadMessageIds = (emails) =>
+    emails.flatMap((email) => email.unreadMessageIds || [email.id]);
+
+  /**
+   * The IDs of every inbox message in the cards' conversations.
+   */
+  const getThreadMessageIds = (emails) =>
+    emails.flatMap((email) => email.threadMessageIds || [email.id]);
+
+  /**
+   * Picks the messages a label change should touch. Marking as read only
+   * needs the unread messages; anything that moves a card out of the inbox
+   * (archive, trash, filing) moves the whole conversation, as Gmail does.
+   */
+  const messageIdsForChange = (emails, removeLabelIds = []) =>
+    removeLabelIds.includes("UNREAD")
+      ? getUnreadMessageIds(emails)
+      : getThreadMessageIds(emails);
+
+  /**
+   * Returns the IDs of the cards whose unread messages are all gone, given a
+   * test for whether a single message has left the unread inbox.
+   */
+  function findEmptiedThreads(emails, isGone) {
+    return emails
+      .filter((email) => getUnreadMessageIds([email]).every(isGone))
+      .map((email) => email.id);
+  }
+
+  // --- ANALYSIS CACHE ---
+
+  /**
+   * Shrinks a full Gmail message down to what the email cards need, so the
+   * cache stays well within Chrome's storage quota.
+   */
+  function toCachedEmail(email) {
+    return {
+      id: email.id,
+      threadId: email.threadId,
+      snippet: email.snippet || "",
+      internalDate: email.internalDate,
+      labelIds: email.labelIds || [],
+      threadMessageIds: email.threadMessageIds,
+      unreadMessageIds: email.unreadMessageIds,
+      threadMessageCount: email.threadMessageCount,
+      safety: email.safety,
+      attachments: email.attachments,
+      invite: email.invite,
+      replyDraftId: email.replyDraftId,
+      payload: {
+        headers: (email.payload?.headers || []).filter((h) =>
+          CACHED_HEADERS.includes(h.name.toLowerCase())
+        ),
+      },
+      analysisData: email.analysisData,
+    };
+  }
+
+  /**
+   * Returns the previously scored emails keyed by message ID. If the cache was
+   * built with a different user profile, it's stale and nothing is returned.
+   */
+  async function loadAnalysisCache(profileKey) {
+    const data = await storage.get(STORAGE_KEYS.ANALYSIS_CACHE);
+    const cache = data[STORAGE_KEYS.ANALYSIS_CACHE];
+    if (!cache || cache.profileKey !== profileKey) return {};
+    return cache.entries || {};
+  }
+
+  /**
+   * Saves the scored emails from the current scan. Emails that are still
+   * waiting for analysis or were taken off the list meanwhile are left out,
+   * and anything not in `emails` drops out of the cache. Failed analyses are
+   * kept (flagged) so the next scan knows to retry them even when it only
+   * looks at what changed since this one.
+   */
+  function saveAnalysisCache(profileKey, emails) {
+    return queueStorageUpdate(() => {
+      const entries = {};
+      emails
+        .filter((e) => e.analysisData.score >= 0 && !removedEmailIds.has(e.id))
+        .forEach((e) => {
+          entries[e.id] = toCachedEmail(e);
+        });
+      return storage.set({
+        [STORAGE_KEYS.ANALYSIS_CACHE]: { profileKey, entries },
+      });
+    });
+  }
+
+  /**
+   * Returns the emails from the last scan, as long as they were scored with
+   * the current profile and rules.
+   */
+  async function loadCachedEmails() {
+    const data = await storage.get(STORAGE_KEYS.USER_PROFILE);
+    const userProfile = data[STORAGE_KEYS.USER_PROFILE];
+    if (!userProfile) return [];
+    return Object.values(
+      await loadAnalysisCache(
+        getAnalysisKey(userProfile, await loadUserRules())
+      )
+    );
+  }
+
+  /**
+   * Drops emails from the cache once they've left the inbox (read, trashed,
+   * archived...), so they don't come back the next time Reception opens.
+   */
+  function removeFromAnalysisCache(emailIds) {
+    return queueStorageUpdate(async () => {
+      const data = await storage.get(STORAGE_KEYS.ANALYSIS_CACHE);
+      const cache = data[STORAGE_KEYS.ANALYSIS_CACHE];
+      if (!cache?.entries) return;
+      emailIds.forEach((id) => delete cache.entries[id]);
+      await storage.set({ [STORAGE_KEYS.ANALYSIS_CACHE]: cache });
+    });
+  }
+
+  /**
+   * Puts emails back into the cache after an undo, so they show up again the
+   * next time Reception opens.
+   */
+  function restoreToAnalysisCache(emails) {
+    return queueStorageUpdate(async () => {
+      const data = await storage.get(STORAGE_KEYS.ANALYSIS_CACHE);
+      const cache = data[STORAGE_KEYS.ANALYSIS_CACHE];
+      if (!cache?.entries) return;
+      emails.forEach((email) => {
+        cache.entries[email.id] = toCachedEmail(email);
+      });
+      await storage.set({ [STORAGE_KEYS.ANALYSIS_CACHE]: cache });
+    });
+  }
+
+  // --- FEEDBACK LOG ---
+
+  /**
+   * Remembers what the user did with one or more cards ("deleted", "read",
+   * "archived", "starred", "opened", "liked"...). The log is how Reception
+   * learns over time: it's fed into both profile generation and scoring.
+   */
+  async function recordFeedback(emails, action) {
+    await queueStorageUpdate(async () => {
+      const data = await storage.get(STORAGE_KEYS.FEEDBACK_LOG);
+      const log = data[STORAGE_KEYS.FEEDBACK_LOG] || [];
+      emails.forEach((email) => {
+        log.push({
+          messageId: email.id,
+          sender: extractEmailAddress(getEmailHeader(email, "From")),
+          subject: getEmailHeader(email, "Subject"),
+          action,
+          score: email.analysisData?.score,
+          timestamp: Date.now(),
+        });
+      });
+      await storage.set({
+        [STORAGE_KEYS.FEEDBACK_LOG]: log.slice(-MAX_FEEDBACK_ENTRIES),
+      });
+    });
+    await recordSenderAction(emails, action);
+  }
+
+  const logFeedbackError = (err) =>
+    console.error("Failed to record feedback:", err);
+
+  /**
+   * Boils the feedback log down to per-sender action counts (see
+   * summarizeFeedback in scoring.js).
+   */
+  async function loadFeedbackSummary() {
+    const data = await storage.get(STORAGE_KEYS.FEEDBACK_LOG);
+    return summarizeFeedback(data[STORAGE_KEYS.FEEDBACK_LOG] || []);
+  }
+
+  // --- SENDERS ---
+
+  /**
+   * Loads the per-sender stats, keyed by address: how many emails each sender
+   * sent, their scores, what the user did with them, and the latest few.
+   */
+  async function loadSenderStats() {
+    const data = await storage.get(STORAGE_KEYS.SENDER_STATS);
+    return data[STORAGE_KEYS.SENDER_STATS] || {};
+  }
+
+  function saveSenderStats(stats) {
+    const kept = Object.values(stats)
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, MAX_TRACKED_SENDERS);
+    return storage.set({
+      [STORAGE_KEYS.SENDER_STATS]: Object.fromEntries(
+        kept.map((s) => [s.address, s])
+      ),
+    });
+  }
+
+  const getSenderEntry = (stats, email) => {
+    const sender = normalizeSender(getEmailHeader(email, "From"));
+    if (!stats[sender.address]) {
+      stats[sender.address] = {
+        ...sender,
+        received: 0,
+        scoreTotal: 0,
+        lastSeen: 0,
+        actions: {},
+        recentEmails: [],
+      };
+    }
+    if (sender.name) stats[sender.address].name = sender.name;
+    return stats[sender.address];
+  };
+
+  /**
+   * Counts freshly scored emails towards their senders' stats. Emails that
+   * were already counted (e.g. rescored after a failure) aren't counted again.
+   */
+  function recordSenderEmails(emails) {
+    return queueStorageUpdate(async () => {
+      const stats = await loadSenderStats();
+      emails
+        .filter(
+          (email) =>
+            email.analysisData.score >= 0 && !email.analysisData.analysisFailed
+        )
+        .forEach((email) => {
+          const entry = getSenderEntry(stats, email);
+          const unsubscribeOptions = getUnsubscribeOptions(email);
+          if (unsubscribeOptions) entry.unsubscribe = unsubscribeOptions;
+          if (entry.recentEmails.some((e) => e.id === email.id)) return;
+          entry.received++;
+          entry.scoreTotal += email.analysisData.score;
+          entry.lastSeen = Math.max(entry.lastSeen, Number(email.internalDate));
+          entry.recentEmails = [
+            {
+              id: email.id,
+              threadId: email.threadId || email.id,
+              title: email.analysisData.summarizedTitle,
+              score: email.analysisData.score,
+              date: Number(email.internalDate),
+            },
+            ...entry.recentEmails,
+          ].slice(0, MAX_SENDER_RECENT_EMAILS);
+        });
+      await saveSenderStats(stats);
+    });
+  }
+
+  /**
+   * Counts what the user did with a sender's emails ("read", "deleted",
+   * "starred"...), alongside the feedback log.
+   */
+  function recordSenderAction(emails, action) {
+    return queueStorageUpdate(async () => {
+      const stats = await loadSenderStats();
+      emails.forEach((email) => {
+        const entry = getSenderEntry(stats, email);
+        entry.actions[action] = (entry.actions[action] || 0) + 1;
+        entry.lastSeen = Math.max(entry.lastSeen, Date.now());
+      });
+      await saveSenderStats(stats);
+    });
+  }
+
+  // --- SAFETY CHECKS ---
+
+  /**
+   * The part of a domain that's actually registered, roughly: "mail.paypal.com"
+   * becomes "paypal.com" and "shop.example.co.uk" becomes "example.co.uk".
+   */
+  function baseDomain(domain) {
+    const labels = domain.toLowerCase().split(".");
+    const keep =
+      labels.length > 2 && /^(co|com|net|org|gov|ac|edu)$/.test(labels.at(-2))
+        ? 3
+        : 2;
+    return labels.slice(-keep).join(".");
+  }
+
+  /**
+   * Folds the characters lookalike domains swap in (0 for o, 1 or I for l,
+   * rn for m, vv for w) so "paypa1.com" and "paypal.com" compare equal.
+   */
+  const domainSkeleton = (domain) =>
+    domain
+      .toLowerCase()
+      .replace(/rn/g, "m")
+      .replace(/vv/g, "w")
+      .replace(/0/g, "o")
+      .replace(/[1i|]/g, "l");
+
+  /**
+   * Checks whether two strings differ by exactly one inserted, removed or
+   * changed character.
+   */
+  function isOneEditApart(a, b) {
+    if (a === b || Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    while (i < a.length && a[i] === b[i]) i++;
+    return (
+      a.slice(i + 1) === b.slice(i + 1) ||
+      a.slice(i) === b.slice(i + 1) ||
+      a.slice(i + 1) === b.slice(i)
+    );
+  }
+
+  /**
+   * Finds the trusted domain a domain imitates, or returns null if it doesn't
+   * look like one. Swapped-in lookalike characters ("paypa1.com" for
+   * "paypal.com") are a high risk. A single changed letter is only a medium
+   * risk, since plenty of real domains are one letter from a famous one; it
+   * takes a second finding (e.g. failed authentication) to make it high.
+   * Returns e.g. `{ domain: "paypal.com", level: "high" }`.
+   */
+  function findImitatedDomain(domain, trustedDomains) {
+    const base = baseDomain(domain);
+    if (trustedDomains.includes(base) || LOOKALIKE_ALLOWLIST.includes(base)) {
+      return null;
+    }
+    const name = base.split(".")[0];
+    const lookalike = trustedDomains.find(
+      (trusted) => domainSkeleton(base) === domainSkeleton(trusted)
+    );
+    if (lookalike) return { domain: lookalike, level: "high" };
+    const misspelt = trustedDomains.find((trusted) => {
+      const trustedName = trusted.split(".")[0];
+      return trustedName.length >= 5 && isOneEditApart(name, trustedName);
+    });
+    return misspelt ? { domain: misspelt, level: "medium" } : null;
+  }
+
+  /**
+   * Reads the SPF, DKIM and DMARC results Gmail recorded when the email
+   * arrived, e.g. `{ spf: "pass", dkim: "fail", dmarc: "fail" }`. Checks
+   * Gmail didn't run are left out.
+   */
+  function getAuthenticationResults(email) {
+    const headers = (email.payload?.headers || []).filter(
+      (h) => h.name.toLowerCase() === "authentication-results"
+    );
+    // Gmail adds its own results on top; anything below came from outside.
+    const header =
+      headers.find((h) => /^\s*mx\.google\.com/i.test(h.value)) || headers[0];
+    const results = {};
+    for (const [, method, result] of (header?.value || "").matchAll(
+      /\b(spf|dkim|dmarc)=(\w+)/gi
+    )) {
+      results[method.toLowerCase()] ??= result.toLowerCase();
+    }
+    return results;
+  }
+
+  /**
+   * Collects the web links in an email's body as `{ href, text }`. Links in
+   * HTML bodies keep the text they're shown with; bare URLs in plain text
+   * are their own text.
+   */
+  function findBodyLinks(email) {
+    const { "text/plain": plain, "text/html": html } = findTextParts(
+      email.payload
+    );
+    if (html) {
+      const doc = new DOMParser().parseFromString(
+        decodeBase64Url(html.body.data, getPartCharset(html)),
+        "text/html"
+      );
+      return [...doc.querySelectorAll("a[href]")]
+        .map((a) => ({
+          href: a.getAttribute("href").trim(),
+          text: a.textContent.trim(),
+        }))
+        .filter((link) => /^https?:\/\//i.test(link.href));
+    }
+    if (plain) {
+      const text = decodeBase64Url(plain.body.data, getPartCharset(plain));
+      return (text.match(/https?:\/\/[^\s<>"')\]]+/gi) || []).map((href) => ({
+        href,
+        text: href,
+      }));
+    }
+    return [];
+  }
+
+  /**
+   * Finds what's wrong with a single link: a bare IP address, an encoded
+   * (punycode) domain, a lookalike of a trusted domain, or text that shows
+   * one site while the link goes to another. Returns `{ level, text }` or
+   * null if it looks fine.
+   */
+  function checkLink({ href, text }, trustedDomains) {
+    let host;
+    try {
+      host = new URL(href).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith("[")) {
+      return { level: "medium", text: `Links to a bare IP address (${host})` };
+    }
+    const imitated = findImitatedDomain(host, trustedDomains);
+    if (imitated) {
+      return {
+        level: imitated.level,
+        text: `Links to ${host}, which imitates ${imitated.domain}`,
+        source: baseDomain(host),
+      };
+    }
+    if (host.split(".").some((label) => label.startsWith("xn--"))) {
+      return {
+        level: "medium",
+        text: `Links to an encoded domain that may imitate another (${host})`,
+      };
+    }
+    const shown = text.match(
+      /^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[/:?#]|$)/i
+    )?.[1];
+    if (shown && baseDomain(shown) !== baseDomain(host)) {
+      // Newsletters routinely send links through click trackers, so this
+      // only really matters when the text shows a trusted site.
+      return {
+        level: trustedDomains.includes(baseDomain(shown)) ? "high" : "low",
+        text: `A link shows ${shown} but goes to ${host}`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Runs the local phishing checks on an email: its SPF/DKIM/DMARC results,
+   * a display name that claims a different address (or a trusted brand), a
+   * sender or Reply-To domain imitating a trusted one, and suspicious links.
+   * Returns the worst risk level found and what was found, e.g.
+   * `{ level: "high", signals: ["Failed DMARC: ..."] }`. Two separate
+   * medium-risk findings (say, a misspelt brand domain and failed SPF) add
+   * up to a high risk.
+   */
+  function checkEmailSafety(email, trustedDomains) {
+    const findings = [];
+    // Findings about the same lookalike domain share a `source`, so a sender
+    // and its own links don't count as two separate findings.
+    const add = (level, text, source) => findings.push({ level, text, source });
+    const sender = normalizeSender(getEmailHeader(email, "From"));
+
+    const auth = getAuthenticationResults(email);
+    if (auth.dmarc === "fail") {
+      add(
+        "high",
+        `Failed DMARC: ${sender.domain} doesn't vouch for this email`
+      );
+    } else if (
+      ["fail", "softfail"].includes(auth.spf) &&
+      auth.dkim !== "pass"
+    ) {
+      add(
+        auth.spf === "fail" ? "high" : "medium",
+        `Failed SPF without a valid DKIM signature: it may not really be from ${sender.domain}`
+      );
+    } else if (auth.dkim === "fail") {
+      add("medium", "Its DKIM signature doesn't match its content");
+    }
+
+    const claimedAddress = sender.name.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/)?.[0];
+    if (
+      claimedAddress &&
+      baseDomain(claimedAddress.split("@").pop()) !== baseDomain(sender.domain)
+    ) {
+      add(
+        "medium",
+        `The name shows ${claimedAddress.toLowerCase()} but it was sent from ${
+          sender.address
+        }`
+      );
+    }
+    const claimedBrand = IMPERSONATED_DOMAINS.find((domain) => {
+      const brand = domain.split(".")[0];
+      return (
+        brand.length >= 5 &&
+        new RegExp(`\\b${brand}\\b`, "i").test(sender.name) &&
+        baseDomain(sender.domain).split(".")[0] !== brand
+      );
+    });
+    if (claimedBrand && !claimedAddress) {
+      add(
+        "medium",
+        `The name says ${claimedBrand.split(".")[0]} but it was sent from ${
+          sender.domain
+        }`
+      );
+    }
+
+    const imitated = findImitatedDomain(sender.domain, trustedDomains);
+    if (imitated) {
+      add(
+        imitated.level,
+        `Sent from ${sender.domain}, which imitates ${imitated.domain}`,
+        baseDomain(sender.domain)
+      );
+    }
+    const replyTo = normalizeSender(getEmailHeader(email, "Reply-To"));
+    if (
+      replyTo.address &&
+      baseDomain(replyTo.domain) !== baseDomain(sender.domain)
+    ) {
+      const imitatedReplyTo = findImitatedDomain(
+        replyTo.domain,
+        trustedDomains
+      );
+      add(
+        imitatedReplyTo?.level || "low",
+        `Replies go to ${replyTo.address}, not ${sender.domain}`,
+        imitatedReplyTo && baseDomain(replyTo.domain)
+      );
+    }
+
+    const linkFindings = findBodyLinks(email)
+      .map((link) => checkLink(link, trustedDomains))
+      .filter(Boolean)
+      .filter(
+        (finding, i, all) => all.findIndex((f) => f.text === finding.text) === i
+      )
+      .sort(
+        (a, b) => RISK_LEVELS.indexOf(b.level) - RISK_LEVELS.indexOf(a.level)
+      )
+      .slice(0, MAX_LINK_SIGNALS);
+    findings.push(...linkFindings);
+
+    const worst = Math.max(
+      0,
+      ...findings.map((f) => RISK_LEVELS.indexOf(f.level))
+    );
+    const mediums = new Set(
+      findings
+        .filter((f) => f.level === "medium")
+        .map((f) => f.source || f.text)
+    ).size;
+    return {
+      level: RISK_LEVELS[mediums >= 2 ? Math.max(worst, 3) : worst],
+      signals: findings.map((f) => f.text),
+    };
+  }
+
+  /**
+   * The phishing risk of a card: the worse of the local checks and the AI's
+   * own assessment.
+   */
+  const getRiskLevel = (email) =>
+    RISK_LEVELS[
+      Math.max(
+        0,
+        RISK_LEVELS.indexOf(email.safety?.level),
+        RISK_LEVELS.indexOf(email.analysisData?.phishingRisk)
+      )
+    ];
+
+  const isRisky = (email) =>
+    RISK_LEVELS.indexOf(getRiskLevel(email)) >= RISK_LEVELS.indexOf("medium");
+
+  // --- RULE ENGINE ---
+
+  /**
+   * Loads the user's own scoring rules, e.g.
+   * { id, field: "subject", value: "invoice", score: 90 }.
+   */
+  async function loadUserRules() {
+    const data = await storage.get(STORAGE_KEYS.USER_RULES);
+    return data[STORAGE_KEYS.USER_RULES] || [];
+  }
+
+  const saveUserRules = (rules) =>
+    storage.set({ [STORAGE_KEYS.USER_RULES]: rules });
+
+  // --- GMAIL API & AI LOGIC ---
+
+  /**
+   * Sends an authenticated request to the Gmail API. The path is relative to
+   * the signed-in user's mailbox, e.g. "/messages" or "/labels". If Gmail
+   * rejects the token (401, e.g. it expired), the token is refreshed and the
+   * request sent once more.
+   */
+  async function gmailFetch(path, options = {}) {
+    const send = () =>
+      fetch(`${GMAIL_API_BASE}${path}`, {
+        ...options,
+        headers: {
+          Authorization: `Bearer ${state.accessToken}`,
+          ...options.headers,
+        },
+      });
+    const response = await send();
+    if (response.status !== 401 || !state.accessToken) return response;
+    await refreshAccessToken();
+    return send();
+  }
+
+  /**
+   * Lists the IDs of emails matching a search query. Gmail only returns one
+   * page of results at a time, so this keeps following `nextPageToken` until
+   * it has `maxResults` IDs or there are no more pages.
+   */
+  async function listMessageIds(query, maxResults) {
+    const ids = [];
+    let pageToken = null;
+    do {
+      const params = new URLSearchParams({
+        q: query,
+        maxResults: String(Math.min(maxResults - ids.length, MAX_PAGE_SIZE)),
+      });
+      if (pageToken) params.set("pageToken", pageToken);
+      const listRes = await gmailFetch(`/messages?${params}`);
+      if (!listRes.ok) throw new Error(`API list failed: ${listRes.status}`);
+      const listJson = await listRes.json();
+      ids.push(...(listJson.messages || []).map((m) => m.id));
+      pageToken = listJson.nextPageToken;
+    } while (pageToken && ids.length < maxResults);
+    return ids.slice(0, maxResults);
+  }
+
+  /**
+   * Downloads the full content of each email ID, a few at a time so we
+   * don't flood the Gmail API with requests. Emails deleted in the meantime
+   * (404) are left out; any other failure throws.
+   */
+  async function fetchMessageDetails(ids) {
+    const details = [];
+    const concurrency = 8;
+    for (let i = 0; i < ids.length; i += concurrency) {
+      const batch = ids.slice(i, i + concurrency);
+      const promises = batch.map((id) =>
+        gmailFetch(`/messages/${id}?format=full`).then((r) => {
+          if (r.status === 404) return null;
+          if (!r.ok) throw new Error(`API message failed: ${r.status}`);
+          return r.json();
+        })
+      );
+      details.push(...(await Promise.all(promises)));
+    }
+    return details.filter(Boolean);
+  }
+
+  /**
+   * Downloads the contents of an attachment as raw bytes.
+   */
+  async function fetchAttachment(messageId, attachmentId) {
+    const response = await gmailFetch(
+      `/messages/${messageId}/attachments/${attachmentId}`
+    );
+    if (!response.ok) {
+      throw new Error(`API attachment failed: ${response.status}`);
+    }
+    const { data } = await response.json();
+    return base64UrlToBytes(data);
+  }
+
+  /**
+   * Downloads whole conversations (every message, with bodies) by thread ID,
+   * a few at a time like `fetchMessageDetails`. A thread deleted in the
+   * meantime (404) comes back as null, in its place in the list.
+   */
+  async function fetchThreads(threadIds) {
+    const threads = [];
+    const concurrency = 8;
+    for (let i = 0; i < threadIds.length; i += concurrency) {
+      const batch = threadIds.slice(i, i + concurrency);
+      const promises = batch.map((id) =>
+        gmailFetch(`/threads/${id}?format=full`).then((r) => {
+          if (r.status === 404) return null;
+          if (!r.ok) throw new Error(`API thread failed: ${r.status}`);
+          return r.json();
+        })
+      );
+      threads.push(...(await Promise.all(promises)));
+    }
+    return threads;
+  }
+
+  /**
+   * Fetches a list of emails from the user's Gmail account using a search query.
+   * For example, it can find all unread emails.
+   */
+  async function fetchMessages(query, maxResults = 30) {
+    if (!state.accessToken) throw new Error("Authentication token not found.");
+    const ids = await listMessageIds(query, maxResults);
+    return fetchMessageDetails(ids);
+  }
+
+  /**
+   * Creates a user profile by analyzing their past email activity.
+   * It looks at important, unread, spam, and trashed emails to understand
+   * what the user considers high or low priority.
+   */
+  async function generateUserProfile() {
+    if (!state.aiSession) throw new Error("AI session not available.");
+    setStatus("Analyzing your historical email priorities...");
+    const [
+      importantEmails,
+      unreadEmails,
+      spamEmails,
+      trashedEmails,
+      feedbackSummary,
+    ] = await Promise.all([
+      fetchMessages("is:important or is:starred", 15),
+      fetchMessages("is:unread older_than:2d", 15),
+      fetchMessages("in:spam", 10),
+      fetchMessages("in:trash", 10),
+      loadFeedbackSummary(),
+    ]);
+    const toSimpleList = (emails) =>
+      emails.map((e) => {
+        const headers = e.payload?.headers || [];
+        const from =
+          (headers.find((h) => h.name.toLowerCase() === "from") || {}).value ||
+          "";
+        const subject =
+          (headers.find((h) => h.name.toLowerCase() === "subject") || {})
+            .value || "";
+        return {
+          from,
+          subject,
+        };
+      });
+    const prompt = `Analyze the user's email behavior to create a profile of their priorities.\n- HIGH PRIORITY emails (user marked as important or starred): ${JSON.stringify(
+      toSimpleList(importantEmails)
+    )}\n- IGNORED emails (user left unread): ${JSON.stringify(
+      toSimpleList(unreadEmails)
+    )}\n- JUNK emails (found in spam): ${JSON.stringify(
+      toSimpleList(spamEmails)
+    )}\n- DELETED emails (found in trash): ${JSON.stringify(
+      toSimpleList(trashedEmails)
+    )}\n- FEEDBACK from Reception (how often the user deleted, archived, read, opened, starred, liked or disliked each sender's emails): ${JSON.stringify(
+      feedbackSummary
+    )}\n\nBased on this, generate a JSON object summarizing the user's preferences. This object should identify:\n1. 'highPrioritySenders': Senders from important/starred emails.\n2. 'highPriorityKeywords': Keywords from subjects of important/starred emails.\n3. 'lowPrioritySenders': Senders often found in unread, spam, or trash.\n4. 'lowPriorityKeywords': Keywords (like 'promotion', 'newsletter') found in ignored emails.\nSenders the user keeps opening or liking in the feedback are high priority; senders they keep deleting or disliking are low priority.\n\nReturn ONLY the JSON object.`;
+    const schema = {
+      type: "object",
+      properties: {
+        highPrioritySenders: {
+          type: "array",
+          items: {
+            type: "string",
+          },
+        },
+        highPriorityKeywords: {
+          type: "array",
+          items: {
+            type: "string",
+          },
+        },
+        lowPrioritySenders: {
+          type: "array",
+          items: {
+            type: "string",
+          },
+        },
+        lowPriorityKeywords: {
+          type: "array",
+          items: {
+            type: "string",
+          },
+        },
+      },
+      required: [
+        "highPrioritySenders",
+        "highPriorityKeywords",
+        "lowPrioritySenders",
+        "lowPriorityKeywords",
+      ],
+    };
+    try {
+      setStatus("Generating user profile with AI...");
+      const result = await state.aiSession.prompt(prompt, {
+        responseConstraint: schema,
+      });
+      const userProfile = applyProfileOverrides(
+        JSON.parse(result),
+        await loadProfileOverrides()
+      );
+      await storage.set({
+        [STORAGE_KEYS.USER_PROFILE]: userProfile,
+        [STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP]: Date.now(),
+      });
+      return userProfile;
+    } catch (err) {
+      console.error("Failed to parse user profile from AI:", err);
+      throw new Error("Could not generate user behavior profile.");
+    }
+  }
+
+  /**
+   * Fetches recent unread emails and sends them to the AI for scoring.
+   * It processes emails in small batches to keep the UI responsive and
+   * updates the screen as each batch is completed. Emails already scored
+   * against the same profile are taken from the cache, and emails the rule
+   * engine can decide on its own never reach the AI at all. After the first
+   * scan, only mailbox changes since the previous scan are fetched, and cards
+   * for emails read or trashed elsewhere in Gmail are removed in place.
+   *
+   * `lookbackDays` controls how far back to look and `maxMessages` caps how
+   * many emails are scored in total (across as many result pages as needed).
+   */
+  async function scoreRecentEmails(
+    userProfile,
+    onBatchProcessed,
+    { lookbackDays = SCAN_LOOKBACK_DAYS, maxMessages = MAX_SCAN_MESSAGES } = {}
+  ) {
+    if (!state.aiSession) throw new Error("AI session not available.");
+    setStatus("Fetching recent unread emails...");
+
+    const since = new Date();
+    since.setDate(since.getDate() - lookbackDays);
+    const timestampInSeconds = Math.floor(since.getTime() / 1000);
+    const query = `is:inbox is:unread after:${timestampInSeconds}`;
+    removedEmailIds = new Set();
+
+    const rules = await loadUserRules();
+    if (rules.some((rule) => rule.field === "label")) {
+      await loadLabels().catch((err) =>
+        console.error("Failed to load the labels your rules use:", err)
+      );
+    }
+    const profileKey = getAnalysisKey(userProfile, rules);
+    const cachedAnalysis = await loadAnalysisCache(profileKey);
+    const { messageIds, isGone, historyId, pendingIds } = await syncMessageIds(
+      query,
+      maxMessages,
+      cachedAnalysis
+    );
+    // Only once a scan has got through its emails is the sync moved on; if it
+    // fails part way, the next scan starts from the same place again.
+    const saveSyncPoint = () =>
+      storage.set({
+        [STORAGE_KEYS.SYNC_HISTORY_ID]: historyId,
+        [STORAGE_KEYS.PENDING_MESSAGE_IDS]: pendingIds,
+      });
+    const currentIds = new Set(messageIds);
+    const cachedThreads = Object.values(cachedAnalysis);
+    const removedIds = findEmptiedThreads(cachedThreads, isGone);
+    if (removedIds.length > 0) await removeEmailCards(removedIds);
+
+    if (messageIds.length === 0) {
+      setStatus(
+        `No unread emails in the last ${lookbackDays} days. You're all caught up! 🎉`
+      );
+      onBatchProcessed([]);
+      await saveAnalysisCache(profileKey, []);
+      await saveSyncPoint();
+      return;
+    }
+
+    const reusableThreads = cachedThreads
+      .filter(
+        (email) =>
+          !email.analysisData.analysisFailed &&
+          Number(email.internalDate) >= since.getTime() &&
+          !removedIds.includes(email.id)
+      )
+      .map((email) => ({
+        ...email,
+        unreadMessageIds: getUnreadMessageIds([email]).filter((id) =>
+          currentIds.has(id)
+        ),
+      }));
+    const reusedIds = new Set(getUnreadMessageIds(reusableThreads));
+    const newIds = messageIds.filter((id) => !reusedIds.has(id));
+    if (reusableThreads.length > 0) {
+      setStatus(
+        `Loaded ${reusableThreads.length} previously analyzed conversations. Fetching ${newIds.length} new emails...`
+      );
+    }
+    const recentEmails = (await fetchMessageDetails(newIds)).filter((email) =>
+      isUnreadInboxEmailSince(email, since)
+    );
+
+    // A new message changes what a conversation needs from the user, so its
+    // card is rebuilt from the whole thread and scored again.
+    const newThreadIds = [...new Set(recentEmails.map((e) => e.threadId))];
+    const cachedEmails = reusableThreads.filter(
+      (email) => !newThreadIds.includes(email.threadId)
+    );
+    setStatus(`Loading ${newThreadIds.length} conversations...`);
+    const threads = await fetchThreads(newThreadIds);
+    const trustedDomains = [
+      ...IMPERSONATED_DOMAINS,
+      ...(userProfile.highPrioritySenders || [])
+        .map((entry) => extractEmailAddress(entry).split("@").pop())
+        .filter((domain) => domain.includes("."))
+        .map(baseDomain),
+    ];
+    const threadEmails = newThreadIds
+      .map((threadId, i) => {
+        if (threads[i]?.messages) return toThreadEmail(threads[i]);
+        // Fall back to the newest message we have if the thread didn't load.
+        return recentEmails
+          .filter((email) => email.threadId === threadId)
+          .sort((a, b) => Number(b.internalDate) - Number(a.internalDate))[0];
+      })
+      .filter(Boolean)
+      .map((email) => ({
+        ...email,
+        safety: checkEmailSafety(email, trustedDomains),
+        attachments: getConversationAttachments(email),
+      }));
+    await Promise.all(
+      threadEmails.map(async (email) => {
+        email.invite = await findInvite(email);
+      })
+    );
+
+    const aiEmails = [];
+    let processedEmails = cachedEmails.concat(
+      threadEmails.map((email) => {
+        // A spoofed email can look like it's from a sender on the profile's
+        // lists, so anything suspicious always goes to the AI.
+        const ruleAnalysis = isRisky(email)
+          ? null
+          : prescoreEmail(email, userProfile, rules, state.labels || []);
+        if (ruleAnalysis) {
+          ruleAnalysis.summaryPoints =
+            ruleAnalysis.summaryPoints.map(decodeHtmlEntities);
+        }
+        if (!ruleAnalysis) aiEmails.push(email);
+        return {
+          ...email,
+          analysisData: ruleAnalysis || {
+            id: email.id,
+            score: -1,
+            summarizedTitle: "Analyzing...",
+            summaryPoints: [], // Will be populated by the prompt
+            positiveReasons: [],
+            negativeReasons: [],
+          },
+        };
+      })
+    );
+    // Anything the user archives, trashes... while the scan runs stays off the
+    // list.
+    const keptEmails = () =>
+      processedEmails.filter((email) => !removedEmailIds.has(email.id));
+    onBatchProcessed(keptEmails());
+    await saveAnalysisCache(profileKey, processedEmails);
+
+    const BATCH_SIZE = 5;
+    const feedbackSummary = await loadFeedbackSummary();
+    const actionItemsPrompt = `An array of concrete things someone has to do because of this conversation, each with 'task' (what needs doing, as a short imperative), 'owner' (who should do it: "me" for the user, otherwise the person's name) and 'dueDate' (YYYY-MM-DD, or an empty string if there's no deadline). Use an empty array if nothing needs doing.`;
+    const categoryPrompt = `The one category that fits the conversation best: ${Object.keys(
+      CATEGORIES
+    ).join(", ")}.`;
+    const actionItemsSchema = {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          task: { type: "string" },
+          owner: { type: "string" },
+          dueDate: { type: "string" },
+        },
+        required: ["task", "owner", "dueDate"],
+      },
+    };
+
+    for (let i = 0; i < aiEmails.length; i += BATCH_SIZE) {
+      const batch = aiEmails.slice(i, i + BATCH_SIZE);
+      setStatus(
+        `Analyzing emails ${i + 1}-${Math.min(
+          i + BATCH_SIZE,
+          aiEmails.length
+        )} of ${aiEmails.length}...`
+      );
+
+      const emailsToScore = batch.map((email) => ({
+        id: email.id,
+        subject: getEmailHeader(email, "Subject"),
+        messageCount: email.threadMessageCount || 1,
+        conversation: describeConversation(email),
+        safetySignals: email.safety?.signals || [],
+      }));
+
+      const prompt = `Based on the user profile below, analyze each email conversation in the provided array. Each 'conversation' lists the latest messages of an email thread, oldest first; 'fromMe' marks messages the user sent, and 'attachments' lists the files attached to a message.\nUSER PROFILE: ${JSON.stringify(
+        userProfile
+      )}\nUSER FEEDBACK (per-sender counts of what the user did with earlier emails): ${JSON.stringify(
+        feedbackSummary
+      )}\nEMAILS TO ANALYZE: ${JSON.stringify(
+        emailsToScore
+      )}\n\nReturn a JSON array where each object contains:\n1. 'id': The original email ID.\n2. 'score': A relevance score from 0 to 100, based mainly on whether the latest message needs the user's response. Score lower if the user has already replied after it. Attachments count too: a contract, invoice or invite usually needs the user more than a bare note.\n3. 'summarizedTitle': A concise, descriptive title (max 10 words).\n4. 'summaryPoints': An array of strings with 2-4 key points summarizing the whole conversation: what's been decided, and what's being asked of the user.\n5. 'positiveReasons': An array of strings explaining why it's important.\n6. 'negativeReasons': An array of strings for why it might be low priority.\n7. 'actionItems': ${actionItemsPrompt}\n8. 'category': ${categoryPrompt}\n9. 'phishingRisk': How likely the latest message is to be phishing or a scam: none, low, medium or high. Weigh its 'safetySignals' (what automatic checks of its headers and links found), urgent or threatening wording, requests for passwords, codes, payments or gift cards, and senders pretending to be someone they're not.\n10. 'riskReasons': An array of short strings explaining the phishingRisk. Use an empty array if it's none.\nToday is ${new Date().toDateString()}.\nScore senders the user usually opens or likes higher, and senders they usually delete or dislike lower. Score likely phishing low, however urgent it sounds.\nMaintain the same order as the input array.`;
+
+      const schema = {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            score: { type: "number" },
+            summarizedTitle: { type: "string" },
+            summaryPoints: { type: "array", items: { type: "string" } },
+            positiveReasons: { type: "array", items: { type: "string" } },
+            negativeReasons: { type: "array", items: { type: "string" } },
+            actionItems: actionItemsSchema,
+            category: { type: "string", enum: Object.keys(CATEGORIES) },
+            phishingRisk: { type: "string", enum: RISK_LEVELS },
+            riskReasons: { type: "array", items: { type: "string" } },
+          },
+          required: [
+            "id",
+            "score",
+            "summarizedTitle",
+            "summaryPoints",
+            "positiveReasons",
+            "negativeReasons",
+            "actionItems",
+            "category",
+            "phishingRisk",
+            "riskReasons",
+          ],
+        },
+      };
+
+      try {
+        const result = await state.aiSession.prompt(prompt, {
+          responseConstraint: schema,
+        });
+        const batchResults = JSON.parse(result);
+
+        if (Array.isArray(batchResults)) {
+          batchResults.forEach((analysisResult) => {
+            const emailIndex = processedEmails.findIndex(
+              (e) => e.id === analysisResult.id
+            );
+            if (emailIndex > -1) {
+              const email = processedEmails[emailIndex];
+              email.analysisData = analysisResult;
+              if (
+                getRiskLevel(email) === "high" &&
+                analysisResult.score >= SCORE_THRESHOLD
+              ) {
+                analysisResult.score = SCORE_THRESHOLD - 1;
+                analysisResult.negativeReasons = [
+                  "Looks like phishing",
+                  ...(analysisResult.negativeReasons || []),
+                ];
+              }
+            }
+          });
+        }
+      } catch (err) {
+        console.error(
+          `Batch scoring failed for emails ${i + 1}-${i + batch.length}:`,
+          err
+        );
+        batch.forEach((failedEmail) => {
+          const emailIndex = processedEmails.findIndex(
+            (e) => e.id === failedEmail.id
+          );
+          if (emailIndex > -1) {
+            processedEmails[emailIndex].analysisData = {
+              id: failedEmail.id,
+              score: 0,
+              summarizedTitle: "AI analysis failed for this email.",
+              summaryPoints: [],
+              positiveReasons: [],
+              negativeReasons: ["AI model failed to process this batch."],
+              analysisFailed: true,
+            };
+          }
+        });
+      }
+      onBatchProcessed(keptEmails());
+      await saveAnalysisCache(profileKey, processedEmails);
+      await saveActionItems(
+        processedEmails.filter((email) => batch.some((b) => b.id === email.id))
+      ).catch(logTaskError);
+    }
+
+    // Rule-scored emails skip the scoring prompt, but the AI still picks out
+    // their tasks and category: emails from the user's own high-priority
+    // senders are the likeliest to need something done.
+    const ruleEmails = threadEmails.filter(
+      (email) => !aiEmails.includes(email)
+    );
+    for (let i = 0; i < ruleEmails.length; i += BATCH_SIZE) {
+      const batch = ruleEmails.slice(i, i + BATCH_SIZE);
+      setStatus(
+        `Finding tasks in rule-scored emails ${i + 1}-${Math.min(
+          i + BATCH_SIZE,
+          ruleEmails.length
+        )} of ${ruleEmails.length}...`
+      );
+      const emailsToRead = batch.map((email) => ({
+        id: email.id,
+        subject: getEmailHeader(email, "Subject"),
+        conversation: describeConversation(email),
+      }));
+      const prompt = `For each email conversation in the provided array, list what needs doing and pick a category. Each 'conversation' lists the latest messages of an email thread, oldest first; 'fromMe' marks messages the user sent.\nEMAILS: ${JSON.stringify(
+        emailsToRead
+      )}\n\nReturn a JSON array where each object contains:\n1. 'id': The original email ID.\n2. 'actionItems': ${actionItemsPrompt}\n3. 'category': ${categoryPrompt}\nToday is ${new Date().toDateString()}.\nMaintain the same order as the input array.`;
+      try {
+        const result = await state.aiSession.prompt(prompt, {
+          responseConstraint: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                actionItems: actionItemsSchema,
+                category: { type: "string", enum: Object.keys(CATEGORIES) },
+              },
+              required: ["id", "actionItems", "category"],
+            },
+          },
+        });
+        JSON.parse(result).forEach(({ id, actionItems, category }) => {
+          const email = processedEmails.find((e) => e.id === id);
+          if (email) {
+            email.analysisData = {
+              ...email.analysisData,
+              actionItems,
+              category,
+            };
+          }
+        });
+      } catch (err) {
+        console.error(
+          `Task extraction failed for rule-scored emails ${i + 1}-${
+            i + batch.length
+          }:`,
+          err
+        );
+        continue;
+      }
+      onBatchProcessed(keptEmails());
+      await saveAnalysisCache(profileKey, processedEmails);
+      await saveActionItems(
+        processedEmails.filter((email) => batch.some((b) => b.id === email.id))
+      ).catch(logTaskError);
+    }
+
+    const scannedIds = new Set(threadEmails.map((email) => email.id));
+    await recordSenderEmails(
+      processedEmails.filter((email) => scannedIds.has(email.id))
+    );
+
+    // Only now is every email up to this history ID in the cache (or waiting
+    // in pendingIds), so the next scan can safely pick up from here.
+    await saveSyncPoint();
+  }
+
+  /**
+   * A general function to change an email's labels in Gmail.
+   * This is used by other functions to mark as read, delete, etc.
+   */
+  async function modifyEmail(messageId, addLabelIds = [], removeLabelIds = []) {
+    if (!state.accessToken) throw new Error("Authentication token not found.");
+    try {
+      const response = await gmailFetch(`/messages/${messageId}/modify`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          addLabelIds,
+          removeLabelIds,
+        }),
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(`API Error: ${error.error.message}`);
+      }
+      return true;
+    } catch (err) {
+      console.error(`Failed to modify email ${messageId}:`, err);
+      return false;
+    }
+  }
+  /**
+   * Changes the labels of many emails in a single request using Gmail's
+   * batchModify endpoint (which takes at most 1000 IDs at a time).
+   */
+  async function batchModifyEmails(
+    messageIds,
+    addLabelIds = [],
+    removeLabelIds = []
+  ) {
+    if (!state.accessToken) throw new Error("Authentication token not found.");
+    try {
+      for (let i = 0; i < messageIds.length; i += 1000) {
+        const response = await gmailFetch("/messages/batchModify", {
           method: "POST",
           headers: {
-            Authorization: `Bearer ${state.accessToken}`,
             "Content-Type": "application/json",
           },
-          body: JSON.stringify({
-            addLabelIds,
-            removeLabelIds,
-          }),
+          body: JSON.stringify({
+            ids: messageIds.slice(i, i + 1000),
+            addLabelIds,
+            removeLabelIds,
+          }),
+        });
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(`API Error: ${error.error.message}`);
+        }
+      }
+      return true;
+    } catch (err) {
+      console.error(`Failed to modify ${messageIds.length} emails:`, err);
+      return false;
+    }
+  }
+
+  /**
+   * Fetches all of the user's Gmail labels, both system and their own.
+   */
+  async function fetchLabels() {
+    const response = await gmailFetch("/labels");
+    if (!response.ok) throw new Error(`API labels failed: ${response.status}`);
+    const { labels = [] } = await response.json();
+    return labels;
+  }
+
+  /**
+   * Creates a new Gmail label and returns it.
+   */
+  async function createLabel(name) {
+    const response = await gmailFetch("/labels", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        name,
+        labelListVisibility: "labelShow",
+        messageListVisibility: "show",
+      }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(`API Error: ${error.error.message}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Fetches the user's Gmail filters (Settings > Filters), whoever made them.
+   */
+  async function fetchFilters() {
+    const response = await gmailFetch("/settings/filters");
+    if (!response.ok) throw new Error(`API filters failed: ${response.status}`);
+    const { filter = [] } = await response.json();
+    return filter;
+  }
+
+  /**
+   * Creates a Gmail filter and returns it. Gmail applies it to new mail as it
+   * arrives, whether or not Reception is running. `criteria` and `action` are
+   * as in the filters API, e.g. `{ from: "@example.com" }` and
+   * `{ removeLabelIds: ["INBOX"] }`.
+   */
+  async function createFilter(criteria, action) {
+    const response = await gmailFetch("/settings/filters", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ criteria, action }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(`API Error: ${error.error.message}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Deletes a Gmail filter. A filter that's already gone counts as deleted.
+   */
+  async function deleteFilter(id) {
+    const response = await gmailFetch(`/settings/filters/${id}`, {
+      method: "DELETE",
+    });
+    if (!response.ok && response.status !== 404) {
+      const error = await response.json();
+      throw new Error(`API Error: ${error.error.message}`);
+    }
+  }
+
+  /**
+   * Saves a raw RFC 2822 message as a Gmail draft in the given thread, or
+   * replaces the message of an existing draft if `draftId` is given. Drafts
+   * are only ever saved here, never sent.
+   */
+  async function saveDraft(raw, threadId, draftId = null) {
+    const response = await gmailFetch(
+      draftId ? `/drafts/${draftId}` : "/drafts",
+      {
+        method: draftId ? "PUT" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ message: { raw, threadId } }),
+      }
+    );
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(`API Error: ${error.error.message}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Fetches the mailbox profile: the account's email address and its current
+   * history ID (a bookmark for "everything up to now").
+   */
+  async function fetchMailboxProfile() {
+    const response = await gmailFetch("/profile");
+    if (!response.ok) throw new Error(`API profile failed: ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * Asks Gmail's history API what changed since `startHistoryId`. Returns the
+   * IDs of emails that may have (re)entered the unread inbox, the IDs of
+   * emails that left it (read, archived, trashed, deleted...), and the
+   * history ID to continue from. Returns null if Gmail no longer has history
+   * that far back, in which case the caller should do a full resync.
+   */
+  async function fetchHistoryChanges(startHistoryId) {
+    const added = new Set();
+    const removed = new Set();
+    const markAdded = (id) => {
+      added.add(id);
+      removed.delete(id);
+    };
+    const markRemoved = (id) => {
+      removed.add(id);
+      added.delete(id);
+    };
+    let historyId = startHistoryId;
+    let pageToken = null;
+    do {
+      const params = new URLSearchParams({ startHistoryId });
+      SYNC_HISTORY_TYPES.forEach((type) => params.append("historyTypes", type));
+      if (pageToken) params.set("pageToken", pageToken);
+      const response = await gmailFetch(`/history?${params}`);
+      if (response.status === 404) return null;
+      if (!response.ok)
+        throw new Error(`API history failed: ${response.status}`);
+      const page = await response.json();
+      // History records are in order, so a later change wins over an earlier one.
+      (page.history || []).forEach((record) => {
+        (record.messagesAdded || []).forEach(({ message }) =>
+          markAdded(message.id)
+        );
+        (record.messagesDeleted || []).forEach(({ message }) =>
+          markRemoved(message.id)
+        );
+        (record.labelsAdded || []).forEach(({ message, labelIds }) => {
+          if (labelIds.some((l) => l === "TRASH" || l === "SPAM")) {
+            markRemoved(message.id);
+          } else if (labelIds.some((l) => l === "UNREAD" || l === "INBOX")) {
+            markAdded(message.id);
+          }
+        });
+        (record.labelsRemoved || []).forEach(({ message, labelIds }) => {
+          if (labelIds.some((l) => l === "UNREAD" || l === "INBOX")) {
+            markRemoved(message.id);
+          } else if (labelIds.some((l) => l === "TRASH" || l === "SPAM")) {
+            markAdded(message.id);
+          }
+        });
+      });
+      historyId = page.historyId || historyId;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    return { added, removed, historyId };
+  }
+
+  /**
+   * Works out which emails a scan should cover. If we have a cached scan and
+   * the history ID it was taken at, only the changes since then are fetched;
+   * otherwise the search query is run again from scratch. Returns:
+   * - messageIds: the unread emails the scan covers, new ones first.
+   * - isGone: whether a cached email has left the unread inbox.
+   * - historyId: where the next sync should start, once the scan has finished.
+   * - pendingIds: new emails beyond `maxMessages`, left for the next scan.
+   */
+  async function syncMessageIds(query, maxMessages, cachedAnalysis) {
+    const data = await storage.get([
+      STORAGE_KEYS.SYNC_HISTORY_ID,
+      STORAGE_KEYS.PENDING_MESSAGE_IDS,
+    ]);
+    const startHistoryId = data[STORAGE_KEYS.SYNC_HISTORY_ID];
+    const cachedIds = getUnreadMessageIds(Object.values(cachedAnalysis));
+
+    if (startHistoryId && cachedIds.length > 0) {
+      const changes = await fetchHistoryChanges(startHistoryId);
+      if (changes) {
+        // Only emails the history says were read, archived, trashed or
+        // deleted are gone; the rest of the cache stays as it is.
+        const newIds = [
+          ...new Set([
+            ...(data[STORAGE_KEYS.PENDING_MESSAGE_IDS] || []),
+            ...changes.added,
+          ]),
+        ].filter((id) => !changes.removed.has(id) && !cachedIds.includes(id));
+        return {
+          messageIds: [
+            ...newIds.slice(0, maxMessages),
+            ...cachedIds.filter((id) => !changes.removed.has(id)),
+          ],
+          isGone: (id) => changes.removed.has(id),
+          historyId: changes.historyId,
+          pendingIds: newIds.slice(maxMessages),
+        };
+      }
+    }
+
+    // Take the history ID before listing, so nothing that arrives while the
+    // list is being fetched gets missed by the next incremental sync.
+    const { historyId } = await fetchMailboxProfile();
+    const messageIds = await listMessageIds(query, maxMessages);
+    return {
+      messageIds,
+      isGone: (id) => !messageIds.includes(id),
+      historyId,
+      pendingIds: [],
+    };
+  }
+
+  const isUnreadInboxEmailSince = (email, since) =>
+    (email.labelIds || []).includes("INBOX") &&
+    (email.labelIds || []).includes("UNREAD") &&
+    Number(email.internalDate) >= since.getTime();
+
+  /**
+   * Changes the labels of one or more emails, using the single-email
+   * endpoint when there's only one.
+   */
+  const modifyMessages = (messageIds, addLabelIds = [], removeLabelIds = []) =>
+    messageIds.length === 1
+      ? modifyEmail(messageIds[0], addLabelIds, removeLabelIds)
+      : batchModifyEmails(messageIds, addLabelIds, removeLabelIds);
+
+  const deleteEmail = (email) =>
+    modifyMessages(getThreadMessageIds([email]), ["TRASH"], []);
+  const markEmailAsRead = (email) =>
+    modifyMessages(getUnreadMessageIds([email]), [], ["UNREAD"]);
+  const archiveEmail = (email) =>
+    modifyMessages(getThreadMessageIds([email]), [], ["INBOX"]);
+  const reportSpam = (email) =>
+    modifyMessages(getThreadMessageIds([email]), ["SPAM"], ["INBOX"]);
+
+  // --- CORE LOGIC & RENDERING ---
+
+  /**
+   * This is the main workflow function. It gets the user profile (or creates one),
+   * sends the recent emails for scoring, and then calls the function to display them.
+   */
+  async function analyzeAndDisplayEmails() {
+    if (!state.isSignedIn || !state.aiSession) {
+      setStatus("Please sign in first.");
+      return;
+    }
+    setActiveView("emails");
+    ui.emailsEl.innerHTML = `<div class="loading-spinner">🧠 Preparing to analyze your inbox...</div>`;
+    ui.analyzeBtn.disabled = true;
+    ui.analyzeBtn.textContent = "Analyzing...";
+
+    try {
+      setStatus("1/2: Loading user profile...");
+      let data = await storage.get([
+        STORAGE_KEYS.USER_PROFILE,
+        STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP,
+      ]);
+      let userProfile = data[STORAGE_KEYS.USER_PROFILE];
+      const lastAnalysis = data[STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP];
+      const isProfileStale =
+        !lastAnalysis || Date.now() - lastAnalysis > PROFILE_REFRESH_INTERVAL;
+
+      if (!userProfile || isProfileStale) {
+        setStatus(
+          `1/2: ${
+            !userProfile ? "No profile found." : "Profile is stale."
+          } Generating new one...`
+        );
+        userProfile = await generateUserProfile();
+      } else {
+        setStatus("1/2: User profile loaded from storage.");
+      }
+
+      const handleBatchProcessing = (processedEmails) => {
+        renderEmails(processedEmails);
+      };
+
+      await scoreRecentEmails(userProfile, handleBatchProcessing);
+
+      setStatus(
+        "Analysis complete. All emails have been processed and sorted."
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus(`Error: ${err.message}. See console for details.`);
+      ui.emailsEl.innerHTML = `<div class="error-message">An error occurred: ${err.message}</div>`;
+    } finally {
+      ui.analyzeBtn.disabled = false;
+      ui.analyzeBtn.textContent = "Scan Unread Emails";
+    }
+  }
+
+  /**
+   * Shows the results of the last scan straight away when the Reception view
+   * opens, so the user doesn't have to wait for a rescan to see anything.
+   */
+  async function showCachedAnalysis() {
+    if (!state.isSignedIn || ui.emailsEl.childElementCount > 0) return;
+    const cachedEmails = await loadCachedEmails();
+    if (cachedEmails.length === 0) return;
+    renderEmails(cachedEmails);
+    setStatus(
+      `Showing ${cachedEmails.length} emails from your last scan. Click 'Scan Unread Emails' to check for new ones.`
+    );
+
+    // Drop cards for emails that were read or trashed in Gmail since then. The
+    // sync bookmark isn't moved, so the next scan still sees any new emails.
+    try {
+      const syncData = await storage.get(STORAGE_KEYS.SYNC_HISTORY_ID);
+      const startHistoryId = syncData[STORAGE_KEYS.SYNC_HISTORY_ID];
+      const changes =
+        startHistoryId && (await fetchHistoryChanges(startHistoryId));
+      if (!changes) return;
+      const removedIds = findEmptiedThreads(renderedEmails, (id) =>
+        changes.removed.has(id)
+      );
+      if (removedIds.length > 0) removeEmailCards(removedIds);
+    } catch (err) {
+      console.error("Failed to check for changes since the last scan:", err);
+    }
+  }
+
+  /**
+   * Takes the list of scored emails and creates the HTML to display them.
+   * It sorts the emails by score and adds buttons for actions like delete and mark as read.
+   */
+  function renderEmails(emails) {
+    ui.emailsEl.innerHTML = "";
+    renderedEmails = (emails || []).sort(SORT_ORDERS[listView.sortBy].compare);
+    // Drop a category or sender filter once nothing in the list matches it.
+    if (!renderedEmails.some((e) => getCategory(e) === listView.category)) {
+      listView.category = "";
+    }
+    if (!renderedEmails.some((e) => getSender(e) === listView.sender)) {
+      listView.sender = "";
+    }
+    renderListToolbar();
+    // Cards are drawn for everything the filters let through; the search only
+    // hides cards (see applySearch).
+    const visibleEmails = renderedEmails.filter(matchesFilters);
+    selectedEmailIds = new Set(
+      visibleEmails.filter((e) => selectedEmailIds.has(e.id)).map((e) => e.id)
+    );
+
+    if (!emails || emails.length === 0) {
+      ui.emailsEl.innerHTML = `<div class="no-emails">No priority emails found. You're all caught up!</div>`;
+      updateBulkToolbar();
+      return;
+    }
+
+    // When grouping, categories are ordered by whichever comes first in the
+    // chosen sort order.
+    const shownEmails = listView.groupByCategory
+      ? Object.keys(CATEGORIES)
+          .map((category) =>
+            visibleEmails.filter((email) => getCategory(email) === category)
+          )
+          .filter((group) => group.length > 0)
+          .sort(
+            (a, b) => visibleEmails.indexOf(a[0]) - visibleEmails.indexOf(b[0])
+          )
+          .flat()
+      : visibleEmails;
+    let currentGroup = null;
+
+    shownEmails.forEach((email) => {
+      if (listView.groupByCategory && getCategory(email) !== currentGroup) {
+        currentGroup = getCategory(email);
+        const groupHeader = document.createElement("div");
+        groupHeader.className = "category-group-header";
+        groupHeader.dataset.category = currentGroup;
+        groupHeader.innerHTML = `<span class="material-symbols-outlined">${
+          CATEGORIES[currentGroup].icon
+        }</span>${CATEGORIES[currentGroup].label} (<span class="group-count">${
+          shownEmails.filter((e) => getCategory(e) === currentGroup).length
+        }</span>)`;
+        ui.emailsEl.appendChild(groupHeader);
+      }
+      const { analysisData } = email;
+      const getHeader = (name) =>
+        (
+          email.payload?.headers?.find(
+            (h) => h.name.toLowerCase() === name.toLowerCase()
+          ) || {}
+        ).value || "";
+      const isLowPriority =
+        analysisData.score >= 0 && analysisData.score < SCORE_THRESHOLD;
+
+      const riskLevel = getRiskLevel(email);
+      const conflicts = findInviteConflicts(email, emails);
+      const riskReasons = [
+        ...(email.safety?.signals || []),
+        ...(analysisData.riskReasons || []),
+      ];
+
+      const card = document.createElement("div");
+      card.className = `email-card ${isLowPriority ? "is-low-priority" : ""} ${
+        isRisky(email) ? "is-risky" : ""
+      } ${email.invite ? "is-invite" : ""}`;
+      card.dataset.emailId = email.id;
+
+      card.innerHTML = `
+        <div class="email-card-header">
+          <input type="checkbox" class="select-email-checkbox" title="Select" />
+          <div class="email-summary">
+            <span class="score ${
+              analysisData.scoredBy === "rules" ? "is-rule-scored" : ""
+            }" title="${
+        analysisData.scoredBy === "rules"
+          ? "Relevance Score (set by your rules)"
+          : "Relevance Score"
+      }">${analysisData.score < 0 ? "..." : analysisData.score}</span>
+            <span class="summarized-title">${escapeHtml(
+              analysisData.summarizedTitle
+            )}</span>
+            ${
+              isRisky(email)
+                ? `<span class="risk-badge" data-risk="${riskLevel}" title="${escapeHtml(
+                    riskReasons.join("\n")
+                  )}"><span class="material-symbols-outlined">warning</span>${
+                    riskLevel === "high" ? "Possible phishing" : "Suspicious"
+                  }</span>`
+                : ""
+            }
+            ${
+              email.invite
+                ? `<span class="invite-chip ${
+                    conflicts.length > 0 ? "has-conflict" : ""
+                  } ${email.invite.cancelled ? "is-cancelled" : ""}" title="${
+                    email.invite.cancelled
+                      ? "Cancelled"
+                      : conflicts.length > 0
+                      ? `Overlaps ${conflicts.length} other invite(s)`
+                      : "Calendar invite"
+                  }"><span class="material-symbols-outlined">${
+                    conflicts.length > 0 ? "event_busy" : "event"
+                  }</span>${escapeHtml(formatInviteTime(email.invite))}</span>`
+                : ""
+            }
+            ${
+              analysisData.category
+                ? `<span class="category-chip" data-category="${getCategory(
+                    email
+                  )}"><span class="material-symbols-outlined">${
+                    CATEGORIES[getCategory(email)].icon
+                  }</span>${CATEGORIES[getCategory(email)].label}</span>`
+                : ""
+            }
+            ${
+              email.attachments?.length
+                ? `<span class="thread-count attachment-count" title="${escapeHtml(
+                    email.attachments.map((a) => a.filename).join("\n")
+                  )}"><span class="material-symbols-outlined">attach_file</span>${
+                    email.attachments.length
+                  }</span>`
+                : ""
+            }
+            ${
+              email.threadMessageCount > 1
+                ? `<span class="thread-count" title="${email.threadMessageCount} messages in this conversation"><span class="material-symbols-outlined">forum</span>${email.threadMessageCount}</span>`
+                : ""
+            }
+          </div>
+          <div class="email-sender" title="See this sender's history">${escapeHtml(
+            getHeader("From")
+          )}</div>
+        </div>
+        <div class="email-card-body" style="display: none;">
+          ${
+            isRisky(email)
+              ? `<div class="risk-warning" data-risk="${riskLevel}">
+              <strong>${
+                riskLevel === "high"
+                  ? "This email is likely phishing."
+                  : "This email looks suspicious."
+              } Don't click its links or reply with personal details.</strong>
+              <ul>${riskReasons
+                .map((r) => `<li>${escapeHtml(r)}</li>`)
+                .join("")}</ul>
+            </div>`
+              : ""
+          }
+          ${
+            email.invite
+              ? `<div class="invite-details">
+              <div class="invite-title">${
+                email.invite.cancelled ? "Cancelled: " : ""
+              }${escapeHtml(email.invite.title)}</div>
+              <div><span class="material-symbols-outlined">schedule</span>${escapeHtml(
+                formatInviteTime(email.invite)
+              )}${email.invite.recurring ? " (repeats)" : ""}</div>
+              ${
+                email.invite.location
+                  ? `<div><span class="material-symbols-outlined">location_on</span>${escapeHtml(
+                      email.invite.location
+                    )}</div>`
+                  : ""
+              }
+              ${
+                email.invite.organizer
+                  ? `<div><span class="material-symbols-outlined">person</span>Organized by ${escapeHtml(
+                      email.invite.organizer.name ||
+                        email.invite.organizer.email
+                    )}</div>`
+                  : ""
+              }
+              ${conflicts
+                .map(
+                  (other) =>
+                    `<div class="invite-conflict"><span class="material-symbols-outlined">event_busy</span>Overlaps "${escapeHtml(
+                      other.invite.title
+                    )}" (${escapeHtml(formatInviteTime(other.invite))})</div>`
+                )
+                .join("")}
+              <div class="invite-actions">
+                ${
+                  !email.invite.cancelled && email.invite.organizer
+                    ? Object.entries(RSVP_RESPONSES)
+                        .map(
+                          ([partstat, { label }]) =>
+                            `<button class="rsvp-btn" data-partstat="${partstat}" title="Save an RSVP to the organizer in your Drafts">${label}</button>`
+                        )
+                        .join("")
+                    : ""
+                }
+                <button class="export-ics-btn">Export .ics</button>
+              </div>
+            </div>`
+              : ""
+          }
+          <ul class="summary-points">
+            ${(analysisData.summaryPoints || [])
+              .map((p) => `<li>${escapeHtml(p)}</li>`)
+              .join("")}
+          </ul>
+          ${
+            analysisData.actionItems?.length
+              ? `<ul class="card-action-items">${analysisData.actionItems
+                  .map(
+                    (item) =>
+                      `<li><span class="material-symbols-outlined">task_alt</span>${escapeHtml(
+                        item.task
+                      )}${
+                        item.dueDate
+                          ? ` <span class="task-due">due ${escapeHtml(
+                              item.dueDate
+                            )}</span>`
+                          : ""
+                      }</li>`
+                  )
+                  .join("")}</ul>`
+              : ""
+          }
+          ${
+            email.attachments?.length
+              ? `<ul class="card-attachments">${email.attachments
+                  .map(
+                    (attachment, i) => `
+                <li>
+                  <button class="download-attachment-btn" data-index="${i}" title="Download">
+                    <span class="material-symbols-outlined">${attachmentIcon(
+                      attachment
+                    )}</span>
+                    <span class="attachment-name">${escapeHtml(
+                      attachment.filename
+                    )}</span>
+                    <span class="attachment-size">${formatFileSize(
+                      attachment.size
+                    )}</span>
+                  </button>
+                </li>`
+                  )
+                  .join("")}</ul>`
+              : ""
+          }
+          <div class="reasons-container">
+            ${(analysisData.positiveReasons || [])
+              .map(
+                (r) => `<span class="reason positive">${escapeHtml(r)}</span>`
+              )
+              .join("")}
+            ${(analysisData.negativeReasons || [])
+              .map(
+                (r) => `<span class="reason negative">${escapeHtml(r)}</span>`
+              )
+              .join("")}
+          </div>
+          <div class="email-actions">
+            <button class="rate-btn material-symbols-outlined" data-rating="liked" title="More emails like this, please">thumb_up</button>
+            <button class="rate-btn material-symbols-outlined" data-rating="disliked" title="Fewer emails like this">thumb_down</button>
+            <button class="mark-as-read-btn">Mark as Read</button>
+            <button class="delete-btn">Delete</button>
+            <button class="detailed-summary-btn" title="This may take a moment to generate">Show Detailed Summary</button>
+            ${
+              state.aiSession
+                ? `<button class="draft-reply-btn">Draft Reply</button>`
+                : ""
+            }
+            <button class="select-sender-btn">Select All From Sender</button>
+            <button class="archive-btn">Archive</button>
+            ${
+              isRisky(email)
+                ? `<button class="report-spam-btn" title="Move to Spam and tell Gmail">Report Spam</button>`
+                : ""
+            }
+            ${Object.entries(TOGGLE_LABELS)
+              .map(([labelId, text]) => {
+                const isOn = (email.labelIds || []).includes(labelId);
+                return `<button class="toggle-label-btn" data-label-id="${labelId}">${
+                  isOn ? text.on : text.off
+                }</button>`;
+              })
+              .join("")}
+            ${
+              isLowPriority
+                ? `<button class="file-low-priority-btn" title="Move out of the inbox into &quot;${LOW_PRIORITY_LABEL}&quot;">File as Low Priority</button>`
+                : ""
+            }
+            ${
+              isLowPriority && getUnsubscribeOptions(email)
+                ? `<button class="unsubscribe-btn" title="${describeUnsubscribe(
+                    getUnsubscribeOptions(email)
+                  )}">Unsubscribe</button>`
+                : ""
+            }
+            <select class="apply-label-select">${labelOptionsHtml()}</select>
+            ${
+              state.isTranslatorAvailable
+                ? `
+              <div class="translation-container">
+                <select class="translate-summary-select">
+                  <option value="">Translate Summary</option>
+                  <option value="es">Spanish</option>
+                  <option value="fr">French</option>
+                  <option value="de">German</option>
+                  <option value="hi">Hindi</option>
+                  <option value="zh">Chinese</option>
+                </select>
+              </div>
+            `
+                : ""
+            }
+            <a href="${gmailUrl(
+              `inbox/${email.threadId || email.id}`
+            )}" target="_blank" class="open-in-gmail-link">Open in Gmail</a>
+          </div>
+          <div class="reply-composer" style="display: none;">
+            <div class="reply-options">
+              <select class="reply-tone-select" title="Tone">${Object.entries(
+                REPLY_TONES
+              )
+                .map(
+                  ([value, { label }]) =>
+                    `<option value="${value}">${label}</option>`
+                )
+                .join("")}</select>
+              <select class="reply-length-select" title="Length">${Object.entries(
+                REPLY_LENGTHS
+              )
+                .map(
+                  ([value, { label }]) =>
+                    `<option value="${value}">${label}</option>`
+                )
+                .join("")}</select>
+              <button class="generate-reply-btn">Rewrite</button>
+            </div>
+            <textarea class="reply-text" rows="8" placeholder="Write your reply..."></textarea>
+            <div class="reply-footer">
+              <span class="reply-status"></span>
+              <button class="save-draft-btn">${
+                email.replyDraftId
+                  ? "Update Gmail Draft"
+                  : "Save as Gmail Draft"
+              }</button>
+            </div>
+          </div>
+        </div>
+      `;
+      ui.emailsEl.appendChild(card);
+    });
+    ui.emailsEl.insertAdjacentHTML(
+      "beforeend",
+      `<div class="no-emails no-matches">No emails match your search and filters.</div>`
+    );
+    applySearch();
+    populateLabelSelects();
+
+    // --- EVENT LISTENERS ---
+
+    const findEmail = (card) =>
+      emails.find((email) => email.id === card.dataset.emailId);
+
+    ui.emailsEl.querySelectorAll(".email-card-header").forEach((header) => {
+      header.addEventListener("click", () => {
+        const body = header.nextElementSibling;
+        body.style.display = body.style.display === "none" ? "block" : "none";
+      });
+    });
+
+    ui.emailsEl
+      .querySelectorAll(".select-email-checkbox")
+      .forEach((checkbox) => {
+        checkbox.addEventListener("click", (e) => e.stopPropagation());
+        checkbox.addEventListener("change", () => {
+          const emailId = checkbox.closest(".email-card").dataset.emailId;
+          if (checkbox.checked) selectedEmailIds.add(emailId);
+          else selectedEmailIds.delete(emailId);
+          updateBulkToolbar();
+        });
+      });
+
+    ui.emailsEl.querySelectorAll(".select-sender-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const sender = extractEmailAddress(
+          getEmailHeader(findEmail(button.closest(".email-card")), "From")
+        );
+        getVisibleEmails()
+          .filter(
+            (email) =>
+              extractEmailAddress(getEmailHeader(email, "From")) === sender
+          )
+          .forEach((email) => selectedEmailIds.add(email.id));
+        updateBulkToolbar();
+      });
+    });
+
+    ui.emailsEl
+      .querySelectorAll(".translate-summary-select")
+      .forEach((select) => {
+        select.addEventListener("change", handleTranslationRequest);
+      });
+
+    ui.emailsEl.querySelectorAll(".detailed-summary-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const summaryPointsEl = card.querySelector(".summary-points");
+
+        if (!state.summarizer) {
+          summaryPointsEl.innerHTML = `<li>❌ Summarizer API is not available.</li>`;
+          button.remove();
+          return;
+        }
+        button.textContent = "🧠 Generating...";
+        button.disabled = true;
+
+        try {
+          const conversation = conversationToText(
+            await fetchConversation(findEmail(card))
+          );
+          const stream = await summarizeLongText(conversation, {
+            context:
+              "An email conversation, oldest message first. Focus on what has been decided so far and what is being asked of the reader.",
+            onProgress: (part, total) => {
+              button.textContent = `🧠 Reading part ${part} of ${total}...`;
+            },
+          });
+
+          // 2. Clear the list and prepare to show streaming text
+          summaryPointsEl.innerHTML = "<li></li>"; // Create one list item
+          const streamingLi = summaryPointsEl.querySelector("li");
+          let fullSummary = ""; // To store the complete text
+
+          // 3. Loop through the stream and append chunks
+          for await (const chunk of stream) {
+            fullSummary += chunk;
+            streamingLi.textContent = fullSummary; // Update UI in real-time
+          }
+
+          // 4. Once streaming is done, format the full text into points
+          const points = fullSummary
+            .split("\n")
+            .filter((p) => p.trim() !== "")
+            .map((p) => p.replace(/^- /, ""));
+
+          // 5. Set the final HTML with proper list items
+          summaryPointsEl.innerHTML = points
+            .map((p) => `<li>${escapeHtml(p)}</li>`)
+            .join("");
+
+          button.remove();
+        } catch (err) {
+          console.error("Detailed summarization failed:", err);
+          summaryPointsEl.innerHTML += `<li>❌ Could not generate detailed summary.</li>`;
+          button.textContent = "Retry Detailed Summary";
+          button.disabled = false;
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".draft-reply-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const composer = card.querySelector(".reply-composer");
+        const isOpen = composer.style.display !== "none";
+        composer.style.display = isOpen ? "none" : "block";
+        if (!isOpen && !card.querySelector(".reply-text").value) {
+          generateReply(card, findEmail(card));
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".generate-reply-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        generateReply(card, findEmail(card));
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".save-draft-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        saveReplyDraft(card, findEmail(card));
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".mark-as-read-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const emailId = card.dataset.emailId;
+        button.textContent = "Marking...";
+        button.disabled = true;
+        const success = await markEmailAsRead(findEmail(card));
+        if (success) {
+          recordFeedback([findEmail(card)], "read").catch(logFeedbackError);
+          recordUndoableAction(
+            "Marked as read",
+            [findEmail(card)],
+            [],
+            ["UNREAD"]
+          );
+          removeEmailCards([emailId]);
+        } else {
+          button.textContent = "Mark as Read";
+          button.disabled = false;
+          alert("Failed to mark email as read. Please try again.");
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".delete-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const emailId = card.dataset.emailId;
+        if (
+          !confirm("Are you sure you want to move this email to the trash?")
+        ) {
+          return;
+        }
+        button.textContent = "Deleting...";
+        button.disabled = true;
+        const success = await deleteEmail(findEmail(card));
+        if (success) {
+          recordFeedback([findEmail(card)], "deleted").catch(logFeedbackError);
+          recordUndoableAction("Moved to trash", [findEmail(card)], ["TRASH"]);
+          removeEmailCards([emailId]);
+        } else {
+          button.textContent = "Delete";
+          button.disabled = false;
+          alert("Failed to delete the email. Please try again.");
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".rate-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        card
+          .querySelectorAll(".rate-btn")
+          .forEach((b) => b.classList.toggle("is-active", b === button));
+        recordFeedback([findEmail(card)], button.dataset.rating).catch(
+          logFeedbackError
+        );
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".email-sender").forEach((senderEl) => {
+      senderEl.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openSenderView(getSender(findEmail(senderEl.closest(".email-card"))));
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".open-in-gmail-link").forEach((link) => {
+      link.addEventListener("click", () => {
+        recordFeedback(
+          [findEmail(link.closest(".email-card"))],
+          "opened"
+        ).catch(logFeedbackError);
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".archive-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const emailId = card.dataset.emailId;
+        button.textContent = "Archiving...";
+        button.disabled = true;
+        const success = await archiveEmail(findEmail(card));
+        if (success) {
+          recordFeedback([findEmail(card)], "archived").catch(logFeedbackError);
+          recordUndoableAction("Archived", [findEmail(card)], [], ["INBOX"]);
+          removeEmailCards([emailId]);
+        } else {
+          button.textContent = "Archive";
+          button.disabled = false;
+          alert("Failed to archive the email. Please try again.");
+        }
+      });
+    });
+
+    ui.emailsEl
+      .querySelectorAll(".download-attachment-btn")
+      .forEach((button) => {
+        button.addEventListener("click", async (e) => {
+          e.stopPropagation();
+          const email = findEmail(button.closest(".email-card"));
+          const attachment = email.attachments[Number(button.dataset.index)];
+          button.disabled = true;
+          try {
+            await downloadAttachment(attachment);
+          } catch (err) {
+            console.error(`Failed to download ${attachment.filename}:`, err);
+            alert("Failed to download the attachment. Please try again.");
+          }
+          button.disabled = false;
+        });
+      });
+
+    ui.emailsEl.querySelectorAll(".export-ics-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        exportInvite(findEmail(button.closest(".email-card")).invite);
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".rsvp-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const email = findEmail(button.closest(".email-card"));
+        const { label, subject } = RSVP_RESPONSES[button.dataset.partstat];
+        button.textContent = "Saving...";
+        button.disabled = true;
+        try {
+          await saveRsvpDraft(email.invite, button.dataset.partstat);
+          button.textContent = `${subject} (draft saved)`;
+          setStatus(
+            `RSVP "${subject}" saved to your Drafts. Send it from Gmail to let the organizer know.`
+          );
+        } catch (err) {
+          console.error("Failed to save the RSVP draft:", err);
+          button.textContent = label;
+          button.disabled = false;
+          alert("Failed to save the RSVP draft. Please try again.");
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".report-spam-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const emailId = card.dataset.emailId;
+        button.textContent = "Reporting...";
+        button.disabled = true;
+        const success = await reportSpam(findEmail(card));
+        if (success) {
+          recordFeedback([findEmail(card)], "reported spam").catch(
+            logFeedbackError
+          );
+          recordUndoableAction(
+            "Reported as spam",
+            [findEmail(card)],
+            ["SPAM"],
+            ["INBOX"]
+          );
+          removeEmailCards([emailId]);
+        } else {
+          button.textContent = "Report Spam";
+          button.disabled = false;
+          alert("Failed to report the email as spam. Please try again.");
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".toggle-label-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const email = findEmail(button.closest(".email-card"));
+        const labelId = button.dataset.labelId;
+        const text = TOGGLE_LABELS[labelId];
+        const isOn = (email.labelIds || []).includes(labelId);
+        button.disabled = true;
+        const ids = getThreadMessageIds([email]);
+        const success = isOn
+          ? await modifyMessages(ids, [], [labelId])
+          : await modifyMessages(ids, [labelId], []);
+        button.disabled = false;
+        if (!success) {
+          alert("Failed to update the email. Please try again.");
+          return;
+        }
+        email.labelIds = isOn
+          ? (email.labelIds || []).filter((l) => l !== labelId)
+          : [...(email.labelIds || []), labelId];
+        button.textContent = isOn ? text.off : text.on;
+        if (!isOn)
+          recordFeedback([email], text.feedback).catch(logFeedbackError);
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".unsubscribe-btn").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const email = findEmail(button.closest(".email-card"));
+        handleUnsubscribe(
+          normalizeSender(getEmailHeader(email, "From")),
+          getUnsubscribeOptions(email),
+          button,
+          email
+        );
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".file-low-priority-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const card = button.closest(".email-card");
+        const emailId = card.dataset.emailId;
+        button.textContent = "Filing...";
+        button.disabled = true;
+        let success = false;
+        let labelId = null;
+        try {
+          labelId = await ensureLabel(LOW_PRIORITY_LABEL);
+          success = await modifyMessages(
+            getThreadMessageIds([findEmail(card)]),
+            [labelId],
+            ["INBOX"]
+          );
+        } catch (err) {
+          console.error("Failed to file email as low priority:", err);
+        }
+        if (success) {
+          recordFeedback([findEmail(card)], "archived").catch(logFeedbackError);
+          recordUndoableAction(
+            `Filed under "${LOW_PRIORITY_LABEL}"`,
+            [findEmail(card)],
+            [labelId],
+            ["INBOX"]
+          );
+          removeEmailCards([emailId]);
+        } else {
+          button.textContent = "File as Low Priority";
+          button.disabled = false;
+          alert("Failed to file the email. Please try again.");
+        }
+      });
+    });
+
+    ui.emailsEl.querySelectorAll(".apply-label-select").forEach((select) => {
+      select.addEventListener("click", (e) => e.stopPropagation());
+      select.addEventListener("change", async () => {
+        const labelId = select.value;
+        if (!labelId) return;
+        const email = findEmail(select.closest(".email-card"));
+        const label = state.labels.find((l) => l.id === labelId);
+        select.disabled = true;
+        const success = await modifyMessages(
+          getThreadMessageIds([email]),
+          [labelId],
+          []
+        );
+        select.disabled = false;
+        select.value = "";
+        if (!success) {
+          alert("Failed to label the email. Please try again.");
+          return;
+        }
+        email.labelIds = [...(email.labelIds || []), labelId];
+        setStatus(`Applied "${label?.name}" to the email.`);
+      });
+    });
+  }
+
+  /**
+   * Fades out and removes the cards of emails that have left the inbox, and
+   * forgets them everywhere else we keep track of them.
+   */
+  function removeEmailCards(emailIds) {
+    emailIds.forEach((id) => {
+      const card = ui.emailsEl.querySelector(
+        `.email-card[data-email-id="${id}"]`
+      );
+      if (card) {
+        card.style.transition =
+          "opacity 0.5s ease, height 0.5s ease, padding 0.5s ease, margin 0.5s ease";
+        card.style.opacity = "0";
+        card.style.height = "0";
+        card.style.padding = "0";
+        card.style.margin = "0";
+        setTimeout(() => card.remove(), 500);
+      }
+      selectedEmailIds.delete(id);
+      removedEmailIds.add(id);
+    });
+    renderedEmails = renderedEmails.filter((e) => !emailIds.includes(e.id));
+    renderListToolbar();
+    updateBulkToolbar();
+    return removeFromAnalysisCache(emailIds);
+  }
+
+  // --- SEARCH, FILTERS & SORTING ---
+
+  const getSender = (email) =>
+    extractEmailAddress(getEmailHeader(email, "From"));
+
+  /**
+   * Checks an email against the list filters. Emails still waiting for a
+   * score only have to match the sender and category, so they don't vanish
+   * while a scan is running.
+   */
+  function matchesFilters(email) {
+    const { score } = email.analysisData;
+    if (listView.category && getCategory(email) !== listView.category) {
+      return false;
+    }
+    if (listView.sender && getSender(email) !== listView.sender) return false;
+    if (score >= 0) {
+      if (listView.hideLowPriority && score < SCORE_THRESHOLD) return false;
+      if (score < listView.minScore || score > listView.maxScore) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Checks an email against every word of the search text.
+   */
+  function matchesSearch(email) {
+    const words = searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const text = [
+      email.analysisData.summarizedTitle,
+      getEmailHeader(email, "From"),
+      getEmailHeader(email, "Subject"),
+      ...(email.analysisData.summaryPoints || []),
+    ]
+      .join(" ")
+      .toLowerCase();
+    return words.every((word) => text.includes(word));
+  }
+
+  const matchesListView = (email) =>
+    matchesFilters(email) && matchesSearch(email);
+
+  /**
+   * Hides the cards that don't match the search text. The cards stay in
+   * place rather than being redrawn, so typing a search doesn't close an
+   * open card or lose a half-written reply. Group headers and the "no
+   * matches" note follow what's left showing.
+   */
+  function applySearch() {
+    const counts = {};
+    let shownCount = 0;
+    ui.emailsEl.querySelectorAll(".email-card").forEach((card) => {
+      const email = renderedEmails.find((e) => e.id === card.dataset.emailId);
+      const isShown = Boolean(email) && matchesSearch(email);
+      card.style.display = isShown ? "" : "none";
+      if (!isShown) {
+        selectedEmailIds.delete(card.dataset.emailId);
+        return;
+      }
+      shownCount++;
+      counts[getCategory(email)] = (counts[getCategory(email)] || 0) + 1;
+    });
+    ui.emailsEl.querySelectorAll(".category-group-header").forEach((header) => {
+      const count = counts[header.dataset.category] || 0;
+      header.style.display = count > 0 ? "" : "none";
+      header.querySelector(".group-count").textContent = count;
+    });
+    const noMatches = ui.emailsEl.querySelector(".no-matches");
+    if (noMatches) noMatches.style.display = shownCount > 0 ? "none" : "";
+    updateBulkToolbar();
+  }
+
+  /**
+   * Loads the saved filters and sort order and puts them in the toolbar.
+   */
+  async function loadListView() {
+    const data = await storage.get(STORAGE_KEYS.LIST_VIEW);
+    listView = { ...DEFAULT_LIST_VIEW, ...data[STORAGE_KEYS.LIST_VIEW] };
+    renderListToolbar();
+  }
+
+  /**
+   * Changes some of the list filters, saves them and redraws the list.
+   */
+  function updateListView(changes) {
+    listView = { ...listView, ...changes };
+    storage.set({ [STORAGE_KEYS.LIST_VIEW]: listView });
+    renderEmails(renderedEmails);
+  }
+
+  /**
+   * Brings the list toolbar up to date: the controls show the current
+   * filters, the sender menu lists everyone in the list, and each category
+   * chip shows how many emails are in that category.
+   */
+  function renderListToolbar() {
+    ui.minScoreInput.value = listView.minScore;
+    ui.maxScoreInput.value = listView.maxScore;
+    ui.scoreRangeLabel.textContent = `Score ${listView.minScore}–${listView.maxScore}`;
+    ui.hideLowPriorityCheckbox.checked = listView.hideLowPriority;
+    ui.groupByCategoryCheckbox.checked = listView.groupByCategory;
+    ui.sortOrderSelect.value = listView.sortBy;
+
+    const senders = [...new Set(renderedEmails.map(getSender))].sort();
+    ui.senderFilterSelect.innerHTML = `<option value="">All senders</option>${senders
+      .map(
+        (sender) =>
+          `<option value="${escapeHtml(sender)}">${escapeHtml(sender)}</option>`
+      )
+      .join("")}`;
+    ui.senderFilterSelect.value = listView.sender;
+
+    const counts = {};
+    renderedEmails.forEach((email) => {
+      counts[getCategory(email)] = (counts[getCategory(email)] || 0) + 1;
+    });
+    ui.categoryFiltersEl.innerHTML = `
+      <button class="category-filter-btn ${
+        listView.category ? "" : "is-active"
+      }" data-category="">All (${renderedEmails.length})</button>
+      ${Object.entries(CATEGORIES)
+        .filter(([category]) => counts[category])
+        .map(
+          ([category, { label, icon }]) => `
+        <button class="category-filter-btn ${
+          listView.category === category ? "is-active" : ""
+        }" data-category="${category}"><span class="material-symbols-outlined">${icon}</span>${label} (${
+            counts[category]
+          })</button>`
+        )
+        .join("")}
+    `;
+    ui.categoryFiltersEl
+      .querySelectorAll(".category-filter-btn")
+      .forEach((button) => {
+        button.addEventListener("click", () => {
+          const { category } = button.dataset;
+          updateListView({
+            category: listView.category === category ? "" : category,
+          });
+        });
+      });
+  }
+
+  // --- BULK ACTIONS ---
+
+  /**
+   * Keeps the bulk toolbar (selection count, enabled buttons) and the card
+   * checkboxes in sync with the current selection.
+   */
+  function updateBulkToolbar() {
+    const isListVisible = activeView === "emails";
+    const count = selectedEmailIds.size;
+    ui.bulkToolbarEl.style.display =
+      isListVisible && renderedEmails.length > 0 ? "flex" : "none";
+    ui.listToolbarEl.style.display =
+      isListVisible && renderedEmails.length > 0 ? "block" : "none";
+    ui.selectionCountEl.textContent = `${count} selected`;
+    ui.selectAllCheckbox.checked =
+      count > 0 && count === getVisibleEmails().length;
+    ui.bulkToolbarEl
+      .querySelectorAll(".bulk-actions button, .bulk-actions select")
+      .forEach((el) => {
+        el.disabled = count === 0;
+      });
+    ui.emailsEl.querySelectorAll(".email-card").forEach((card) => {
+      const isSelected = selectedEmailIds.has(card.dataset.emailId);
+      card.classList.toggle("is-selected", isSelected);
+      card.querySelector(".select-email-checkbox").checked = isSelected;
+    });
+  }
+
+  /**
+   * Fetches the user's own Gmail labels (once per sign-in), sorted by name.
+   */
+  async function loadLabels() {
+    if (!state.labels) {
+      state.labels = (await fetchLabels())
+        .filter((label) => label.type === "user")
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return state.labels;
+  }
+
+  /**
+   * Returns the ID of the user label with this name, creating it first if it
+   * doesn't exist yet. For nested names like "Reception/Low priority" the
+   * parent label is created too, so Gmail shows it nested in the sidebar.
+   */
+  async function ensureLabel(name) {
+    const labels = await loadLabels();
+    const existing = labels.find((l) => l.name === name);
+    if (existing) return existing.id;
+    const parentName = name.split("/").slice(0, -1).join("/");
+    if (parentName) await ensureLabel(parentName);
+    const label = await createLabel(name);
+    state.labels = [...labels, label].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+    populateLabelSelects();
+    return label.id;
+  }
+
+  const labelOptionsHtml = () =>
+    `<option value="">Apply label...</option>${(state.labels || [])
+      .map(
+        (label) =>
+          `<option value="${escapeHtml(label.id)}">${escapeHtml(
+            label.name
+          )}</option>`
+      )
+      .join("")}`;
+
+  /**
+   * Fills the bulk and per-card "Apply label..." pickers with the user's own
+   * Gmail labels.
+   */
+  async function populateLabelSelects() {
+    if (!state.accessToken) return;
+    try {
+      await loadLabels();
+    } catch (err) {
+      console.error("Failed to load Gmail labels:", err);
+      return;
+    }
+    ui.bulkLabelSelect.innerHTML = labelOptionsHtml();
+    ui.emailsEl.querySelectorAll(".apply-label-select").forEach((select) => {
+      select.innerHTML = labelOptionsHtml();
+    });
+  }
+
+  /**
+   * Marks as read, archives or trashes every selected email in one request.
+   */
+  async function handleBulkAction(action) {
+    const ids = [...selectedEmailIds];
+    if (ids.length === 0) return;
+    const {
+      addLabelIds = [],
+      addLabelNames = [],
+      removeLabelIds = [],
+      feedback,
+      done,
+    } = BULK_ACTIONS[action];
+    if (
+      action === "trash" &&
+      !confirm(
+        `Are you sure you want to move ${ids.length} emails to the trash?`
+      )
+    ) {
+      return;
+    }
+    setStatus(`Updating ${ids.length} emails...`);
+    const emails = renderedEmails.filter((email) => ids.includes(email.id));
+    let success = false;
+    let addedLabelIds = addLabelIds;
+    try {
+      const namedLabelIds = await Promise.all(addLabelNames.map(ensureLabel));
+      addedLabelIds = [...addLabelIds, ...namedLabelIds];
+      success = await batchModifyEmails(
+        messageIdsForChange(emails, removeLabelIds),
+        addedLabelIds,
+        removeLabelIds
+      );
+    } catch (err) {
+      console.error(`Bulk action "${action}" failed:`, err);
+    }
+    if (!success) {
+      setStatus("Bulk action failed.");
+      alert("Failed to update the selected emails. Please try again.");
+      return;
+    }
+    recordFeedback(emails, feedback).catch(logFeedbackError);
+    recordUndoableAction(
+      `${ids.length} emails ${done}`,
+      emails,
+      addedLabelIds,
+      removeLabelIds
+    );
+    removeEmailCards(ids);
+    setStatus(`${ids.length} emails ${done}.`);
+  }
+
+  /**
+   * Applies a Gmail label to every selected conversation. The emails stay in
+   * the inbox, so their cards stay too.
+   */
+  async function handleBulkLabel() {
+    const labelId = ui.bulkLabelSelect.value;
+    const ids = [...selectedEmailIds];
+    if (!labelId || ids.length === 0) return;
+    const label = state.labels.find((l) => l.id === labelId);
+    const emails = renderedEmails.filter((email) => ids.includes(email.id));
+    ui.bulkLabelSelect.value = "";
+    setStatus(`Labeling ${ids.length} emails...`);
+    const success = await batchModifyEmails(
+      getThreadMessageIds(emails),
+      [labelId],
+      []
+    );
+    if (!success) {
+      setStatus("Bulk action failed.");
+      alert("Failed to label the selected emails. Please try again.");
+      return;
+    }
+    recordUndoableAction(
+      `Labeled ${ids.length} emails "${label?.name}"`,
+      emails,
+      [labelId]
+    );
+    selectedEmailIds.clear();
+    updateBulkToolbar();
+    setStatus(`Applied "${label?.name}" to ${ids.length} emails.`);
+  }
+
+  // --- REPLY DRAFTS ---
+
+  /**
+   * Picks the message a reply should answer: the card's own message, or
+   * failing that the latest message the user didn't send themselves.
+   */
+  function findReplyTarget(messages, email) {
+    return (
+      messages.find((m) => m.id === email.id) ||
+      [...messages]
+        .reverse()
+        .find((m) => !(m.labelIds || []).includes("SENT")) ||
+      messages[messages.length - 1]
+    );
+  }
+
+  /**
+   * Builds a plain-text reply to `original` as a base64url RFC 2822 message.
+   * The In-Reply-To and References headers make Gmail (and everyone else's
+   * mail client) file the reply under the original conversation.
+   */
+  function buildReplyMessage(original, body) {
+    const subject = getEmailHeader(original, "Subject");
+    const messageId = getEmailHeader(original, "Message-ID");
+    const references = [getEmailHeader(original, "References"), messageId]
+      .filter(Boolean)
+      .join(" ");
+    return buildMimeMessage({
+      to:
+        getEmailHeader(original, "Reply-To") ||
+        getEmailHeader(original, "From"),
+      subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+      body,
+      headers: [
+        messageId && `In-Reply-To: ${messageId}`,
+        references && `References: ${references}`,
+      ].filter(Boolean),
+    });
+  }
+
+  /**
+   * Has the AI propose a reply to the card's conversation, in the tone and
+   * length picked in the card, and puts it in the card's reply box for the
+   * user to edit.
+   */
+  async function generateReply(card, email) {
+    const textarea = card.querySelector(".reply-text");
+    const status = card.querySelector(".reply-status");
+    const button = card.querySelector(".generate-reply-btn");
+    const tone = REPLY_TONES[card.querySelector(".reply-tone-select").value];
+    const length =
+      REPLY_LENGTHS[card.querySelector(".reply-length-select").value];
+    button.disabled = true;
+    textarea.disabled = true;
+    status.textContent = "🧠 Drafting a reply...";
+    try {
+      const conversation = conversationToText(
+        await fetchConversation(email)
+      ).slice(-REPLY_CONTEXT_LENGTH);
+      const prompt = `Write a reply to the latest message in the email conversation below, on behalf of the user who received it.\nTone: ${tone.prompt}.\nLength: ${length.prompt}.\nReturn only the body of the reply: no subject line and no placeholders for the user's signature. Don't invent facts, dates or commitments; where the user needs to fill something in, write it in [square brackets].\n\nCONVERSATION (oldest message first):\n${conversation}`;
+      textarea.value = (await state.aiSession.prompt(prompt)).trim();
+      status.textContent = "Edit the reply, then save it as a draft.";
+    } catch (err) {
+      console.error("Reply drafting failed:", err);
+      status.textContent =
+        "❌ Could not draft a reply. You can still write one.";
+    } finally {
+      button.disabled = false;
+      textarea.disabled = false;
+    }
+  }
+
+  /**
+   * Saves the reply in the card as a Gmail draft in the email's thread.
+   * Saving again updates the same draft: its ID is kept on the email, so it
+   * outlasts the card being redrawn. Nothing is ever sent from here.
+   */
+  async function saveReplyDraft(card, email) {
+    const textarea = card.querySelector(".reply-text");
+    const status = card.querySelector(".reply-status");
+    const button = card.querySelector(".save-draft-btn");
+    const body = textarea.value.trim();
+    if (!body) {
+      status.textContent = "Write a reply first.";
+      return;
+    }
+    button.disabled = true;
+    status.textContent = "Saving draft...";
+    try {
+      const messages = await fetchConversation(email);
+      const raw = buildReplyMessage(findReplyTarget(messages, email), body);
+      const draft = await saveDraft(raw, email.threadId, email.replyDraftId);
+      email.replyDraftId = draft.id;
+      button.textContent = "Update Gmail Draft";
+      status.innerHTML = `✅ Saved to <a href="${gmailUrl(
+        "drafts"
+      )}" target="_blank">Drafts</a>. It won't be sent until you send it from Gmail.`;
+      recordFeedback([email], "replied").catch(logFeedbackError);
+    } catch (err) {
+      console.error("Failed to save the reply draft:", err);
+      status.textContent = "❌ Could not save the draft. Please try again.";
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // --- TO-DO LIST ---
+
+  /**
+   * Loads the to-do items extracted from scanned emails, keyed by task ID.
+   */
+  async function loadTasks() {
+    const data = await storage.get(STORAGE_KEYS.TASKS);
+    return data[STORAGE_KEYS.TASKS] || {};
+  }
+
+  function saveTasks(tasks) {
+    const kept = Object.values(tasks)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MAX_TASKS);
+    return storage.set({
+      [STORAGE_KEYS.TASKS]: Object.fromEntries(kept.map((t) => [t.id, t])),
+    });
+  }
+
+  /**
+   * Changes the stored tasks in place, e.g. to check one off, and returns
+   * them. Changes are queued like other read-modify-write updates, so a scan
+   * saving new tasks can't undo a checkbox ticked at the same time.
+   */
+  function updateTasks(change) {
+    return queueStorageUpdate(async () => {
+      const tasks = await loadTasks();
+      change(tasks);
+      await saveTasks(tasks);
+      return tasks;
+    });
+  }
+
+  const logTaskError = (err) => console.error("Failed to save tasks:", err);
+
+  /**
+   * Adds the action items the AI found in freshly scored emails to the to-do
+   * list. The latest analysis of a conversation replaces its open tasks, but
+   * tasks the user already checked off stay checked off. Tasks outlive the
+   * emails themselves, so they're kept separately from the analysis cache.
+   */
+  async function saveActionItems(emails) {
+    const tasks = await updateTasks((tasks) => {
+      emails.forEach((email) => {
+        const items = email.analysisData.actionItems;
+        if (!items) return;
+        const threadId = email.threadId || email.id;
+        Object.values(tasks)
+          .filter((task) => task.threadId === threadId && !task.done)
+          .forEach((task) => delete tasks[task.id]);
+        items.forEach((item) => {
+          const id = `${threadId}-${hashString(item.task.toLowerCase())}`;
+          if (tasks[id]) return;
+          tasks[id] = {
+            id,
+            threadId,
+            emailId: email.id,
+            task: item.task,
+            owner: item.owner,
+            dueDate: item.dueDate,
+            subject: getEmailHeader(email, "Subject"),
+            from: getEmailHeader(email, "From"),
+            createdAt: Date.now(),
+            done: false,
+          };
+        });
+      });
+    });
+    if (activeView === "todo") renderTodoPanel();
+    else updateTodoCount(tasks);
+  }
+
+  /**
+   * Shows how many open tasks there are on the To-do tab.
+   */
+  async function updateTodoCount(tasks = null) {
+    const openCount = Object.values(tasks || (await loadTasks())).filter(
+      (task) => !task.done
+    ).length;
+    ui.todoCountEl.textContent = openCount > 0 ? openCount : "";
+  }
+
+  const isOverdue = (task) =>
+    !task.done &&
+    /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate) &&
+    task.dueDate < new Date().toISOString().slice(0, 10);
+
+  /**
+   * Draws the to-do list: open tasks first (those with the nearest deadline
+   * on top), then finished ones. Each links back to the conversation it
+   * came from.
+   */
+  async function renderTodoPanel() {
+    const tasks = Object.values(await loadTasks());
+    updateTodoCount(Object.fromEntries(tasks.map((t) => [t.id, t])));
+    if (tasks.length === 0) {
+      ui.todoPanelEl.innerHTML = `<div class="no-emails">No tasks yet. Action items found in your emails show up here after a scan.</div>`;
+      return;
+    }
+    const byDueDate = (a, b) =>
+      (a.dueDate || "9999").localeCompare(b.dueDate || "9999") ||
+      b.createdAt - a.createdAt;
+    const openTasks = tasks.filter((t) => !t.done).sort(byDueDate);
+    const doneTasks = tasks.filter((t) => t.done).sort(byDueDate);
+    const taskRow = (task) => `
+      <li class="task-row ${task.done ? "is-done" : ""} ${
+      isOverdue(task) ? "is-overdue" : ""
+    }" data-task-id="${escapeHtml(task.id)}">
+        <input type="checkbox" class="task-checkbox" ${
+          task.done ? "checked" : ""
+        } />
+        <div class="task-details">
+          <div class="task-text">${escapeHtml(task.task)}${
+      task.owner && task.owner.toLowerCase() !== "me"
+        ? ` <span class="task-owner">${escapeHtml(task.owner)}</span>`
+        : ""
+    }</div>
+          <a class="task-source" href="${gmailThreadUrl(
+            task.threadId
+          )}" target="_blank" title="Open the email in Gmail">${escapeHtml(
+      task.subject || "(no subject)"
+    )} · ${escapeHtml(task.from)}</a>
+        </div>
+        ${
+          task.dueDate
+            ? `<span class="task-due">${escapeHtml(task.dueDate)}</span>`
+            : ""
+        }
+      </li>
+    `;
+    ui.todoPanelEl.innerHTML = `
+      <ul class="task-list">${openTasks.map(taskRow).join("")}</ul>
+      ${
+        openTasks.length === 0
+          ? `<div class="profile-empty">All done! 🎉</div>`
+          : ""
+      }
+      ${
+        doneTasks.length > 0
+          ? `
+        <div class="task-done-header">
+          <h2>Done (${doneTasks.length})</h2>
+          <button id="clearDoneTasksBtn">Clear Completed</button>
+        </div>
+        <ul class="task-list">${doneTasks.map(taskRow).join("")}</ul>
+      `
+          : ""
+      }
+    `;
+
+    ui.todoPanelEl.querySelectorAll(".task-checkbox").forEach((checkbox) => {
+      checkbox.addEventListener("change", async () => {
+        const taskId = checkbox.closest(".task-row").dataset.taskId;
+        await updateTasks((allTasks) => {
+          if (allTasks[taskId]) allTasks[taskId].done = checkbox.checked;
+        }).catch(logTaskError);
+        renderTodoPanel();
+      });
+    });
+    ui.todoPanelEl
+      .querySelector("#clearDoneTasksBtn")
+      ?.addEventListener("click", async () => {
+        await updateTasks((allTasks) => {
+          Object.values(allTasks)
+            .filter((task) => task.done)
+            .forEach((task) => delete allTasks[task.id]);
+        }).catch(logTaskError);
+        renderTodoPanel();
+      });
+  }
+
+  // --- DAILY DIGEST ---
+
+  /**
+   * Writes a briefing covering every email scored in the last `days` days.
+   * The language model sorts them into top items, ones waiting for a reply
+   * and ones that can be ignored; the Summarizer (when available) writes the
+   * overview. The digest is saved so it's still there next time.
+   */
+  async function generateDigest(days) {
+    const period = DIGEST_PERIODS.find((p) => p.days === days);
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const emails = (await loadCachedEmails())
+      .filter(
+        (email) =>
+          email.analysisData.score >= 0 &&
+          !email.analysisData.analysisFailed &&
+          Number(email.internalDate) >= since
+      )
+      .sort((a, b) => b.analysisData.score - a.analysisData.score)
+      .slice(0, DIGEST_MAX_EMAILS);
+    if (emails.length === 0) {
+      throw new Error(
+        `No scored emails from ${period.label}. Run a scan first.`
+      );
+    }
+
+    const digestEmails = emails.map((email) => ({
+      id: email.id,
+      title: email.analysisData.summarizedTitle,
+      from: getEmailHeader(email, "From"),
+      score: email.analysisData.score,
+      category: getCategory(email),
+      points: (email.analysisData.summaryPoints || []).slice(0, 2),
+    }));
+    const prompt = `You are writing the user's email briefing for ${
+      period.label
+    }. Below are their scored emails (higher score = more important to them).\nEMAILS: ${JSON.stringify(
+      digestEmails
+    )}\n\nReturn a JSON object with three arrays:\n1. 'topItems': the most important emails (at most 5).\n2. 'needsReply': emails where someone is waiting for the user's answer.\n3. 'canIgnore': emails that are safe to skip.\nEach entry has the email's 'id' and a one-sentence 'note' saying why it's there. An email may appear in more than one array, or in none.`;
+    const entrySchema = {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { id: { type: "string" }, note: { type: "string" } },
+        required: ["id", "note"],
+      },
+    };
+    const result = JSON.parse(
+      await state.aiSession.prompt(prompt, {
+        responseConstraint: {
+          type: "object",
+          properties: {
+            topItems: entrySchema,
+            needsReply: entrySchema,
+            canIgnore: entrySchema,
+          },
+          required: ["topItems", "needsReply", "canIgnore"],
+        },
+      })
+    );
+
+    let overview = [];
+    if (state.summarizer) {
+      const overviewText = await state.summarizer.summarize(
+        digestEmails
+          .map((e) => `${e.title} (from ${e.from}): ${e.points.join(" ")}`)
+          .join("\n")
+          .slice(0, SUMMARY_CHUNK_LENGTH),
+        {
+          context:
+            "Summaries of the emails someone received recently. Give them a quick overview of what's going on.",
         }
       );
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`API Error: ${error.error.message}`);
+      overview = overviewText
+        .split("\n")
+        .map((line) => line.replace(/^[-*•]\s*/, "").trim())
+        .filter(Boolean);
+    }
+
+    // Only keep entries for emails we actually sent, in case the model
+    // makes up an ID.
+    const toItems = (entries = []) =>
+      entries
+        .map(({ id, note }) => {
+          const email = emails.find((e) => e.id === id);
+          return (
+            email && {
+              threadId: email.threadId || email.id,
+              title: email.analysisData.summarizedTitle,
+              from: getEmailHeader(email, "From"),
+              score: email.analysisData.score,
+              note,
+            }
+          );
+        })
+        .filter(Boolean);
+    const digest = {
+      generatedAt: Date.now(),
+      periodLabel: period.label,
+      emailCount: emails.length,
+      overview,
+      sections: [
+        { title: "Top items", items: toItems(result.topItems) },
+        { title: "Needs a reply", items: toItems(result.needsReply) },
+        { title: "Can be ignored", items: toItems(result.canIgnore) },
+      ],
+    };
+    await storage.set({ [STORAGE_KEYS.LAST_DIGEST]: digest });
+    return digest;
+  }
+
+  const gmailThreadUrl = (threadId) => gmailUrl(`all/${threadId}`);
+
+  const digestTitle = (digest) =>
+    `Reception digest – ${new Date(digest.generatedAt).toLocaleDateString([], {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    })}`;
+
+  function digestToMarkdown(digest) {
+    const lines = [
+      `# ${digestTitle(digest)}`,
+      "",
+      `_${digest.emailCount} emails from ${digest.periodLabel}._`,
+    ];
+    if (digest.overview.length > 0) {
+      lines.push(
+        "",
+        "## Overview",
+        "",
+        ...digest.overview.map((p) => `- ${p}`)
+      );
+    }
+    digest.sections.forEach(({ title, items }) => {
+      lines.push("", `## ${title}`, "");
+      if (items.length === 0) lines.push("_Nothing here._");
+      items.forEach((item) => {
+        lines.push(
+          `- **[${item.title}](${gmailThreadUrl(item.threadId)})** (${
+            item.from
+          }) — ${item.note}`
+        );
+      });
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * Renders the digest as an HTML fragment. It's used both in the Digest
+   * view and, wrapped in a page, for exports and the draft-to-self.
+   */
+  function digestToHtml(digest) {
+    return `
+      <h1>${escapeHtml(digestTitle(digest))}</h1>
+      <p class="digest-meta">${digest.emailCount} emails from ${escapeHtml(
+      digest.periodLabel
+    )}.</p>
+      ${
+        digest.overview.length > 0
+          ? `<h2>Overview</h2><ul>${digest.overview
+              .map((p) => `<li>${escapeHtml(p)}</li>`)
+              .join("")}</ul>`
+          : ""
+      }
+      ${digest.sections
+        .map(
+          ({ title, items }) => `
+        <h2>${escapeHtml(title)}</h2>
+        ${
+          items.length === 0
+            ? `<p class="digest-meta">Nothing here.</p>`
+            : `<ul>${items
+                .map(
+                  (item) =>
+                    `<li><a href="${gmailThreadUrl(
+                      item.threadId
+                    )}" target="_blank">${escapeHtml(
+                      item.title
+                    )}</a> <span class="digest-meta">(${escapeHtml(
+                      item.from
+                    )})</span> — ${escapeHtml(item.note)}</li>`
+                )
+                .join("")}</ul>`
+        }
+      `
+        )
+        .join("")}
+    `;
+  }
+
+  const digestToHtmlPage = (digest) =>
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(
+      digestTitle(digest)
+    )}</title></head><body style="font-family: sans-serif;">${digestToHtml(
+      digest
+    )}</body></html>`;
+
+  /**
+   * Makes the browser download `content` as a file.
+   */
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Saves the digest as a draft addressed to the signed-in user, so it can be
+   * read (or sent) from any mail client. It isn't sent.
+   */
+  async function saveDigestDraft(digest) {
+    const { emailAddress } = await fetchMailboxProfile();
+    await saveDraft(
+      buildMimeMessage({
+        to: emailAddress,
+        subject: digestTitle(digest),
+        body: digestToHtmlPage(digest),
+        contentType: "text/html",
+      })
+    );
+  }
+
+  /**
+   * Draws the Digest view: controls to write a new digest or export the
+   * current one, and the last digest written.
+   */
+  async function renderDigestPanel() {
+    const data = await storage.get(STORAGE_KEYS.LAST_DIGEST);
+    const digest = data[STORAGE_KEYS.LAST_DIGEST];
+    ui.digestPanelEl.innerHTML = `
+      <div class="digest-controls">
+        <select id="digestPeriodSelect">${DIGEST_PERIODS.map(
+          ({ days, label }) =>
+            `<option value="${days}">Emails from ${label}</option>`
+        ).join("")}</select>
+        <button id="generateDigestBtn" ${
+          state.aiSession ? "" : "disabled"
+        }>Write Digest</button>
+        ${
+          digest
+            ? `
+          <button id="exportDigestMarkdownBtn">Export Markdown</button>
+          <button id="exportDigestHtmlBtn">Export HTML</button>
+          <button id="saveDigestDraftBtn">Save as Draft to Me</button>
+        `
+            : ""
+        }
+        <span id="digest-status"></span>
+      </div>
+      <div class="digest-content">${
+        digest
+          ? digestToHtml(digest)
+          : `<div class="no-emails">No digest yet. Pick a period and click 'Write Digest'.</div>`
+      }</div>
+    `;
+    const status = ui.digestPanelEl.querySelector("#digest-status");
+    const generateBtn = ui.digestPanelEl.querySelector("#generateDigestBtn");
+    generateBtn.addEventListener("click", async () => {
+      generateBtn.disabled = true;
+      status.textContent = "🧠 Writing your digest...";
+      try {
+        await generateDigest(
+          Number(ui.digestPanelEl.querySelector("#digestPeriodSelect").value)
+        );
+        renderDigestPanel();
+      } catch (err) {
+        console.error("Digest generation failed:", err);
+        status.textContent = `❌ ${err.message}`;
+        generateBtn.disabled = false;
+      }
+    });
+    if (!digest) return;
+    const fileName = `reception-digest-${new Date(digest.generatedAt)
+      .toISOString()
+      .slice(0, 10)}`;
+    ui.digestPanelEl
+      .querySelector("#exportDigestMarkdownBtn")
+      .addEventListener("click", () =>
+        downloadFile(
+          `${fileName}.md`,
+          digestToMarkdown(digest),
+          "text/markdown"
+        )
+      );
+    ui.digestPanelEl
+      .querySelector("#exportDigestHtmlBtn")
+      .addEventListener("click", () =>
+        downloadFile(`${fileName}.html`, digestToHtmlPage(digest), "text/html")
+      );
+    const draftBtn = ui.digestPanelEl.querySelector("#saveDigestDraftBtn");
+    draftBtn.addEventListener("click", async () => {
+      draftBtn.disabled = true;
+      status.textContent = "Saving draft...";
+      try {
+        await saveDigestDraft(digest);
+        status.innerHTML = `✅ Saved to <a href="${gmailUrl(
+          "drafts"
+        )}" target="_blank">Drafts</a>.`;
+      } catch (err) {
+        console.error("Failed to save the digest draft:", err);
+        status.textContent = "❌ Could not save the draft. Please try again.";
+        draftBtn.disabled = false;
+      }
+    });
+  }
+
+  // --- UNDO & ACTION HISTORY ---
+
+  /**
+   * Remembers a label change that took emails out of the list, so it can be
+   * reverted from the toast or the "Recent Actions" panel.
+   */
+  function recordUndoableAction(
+    description,
+    emails,
+    addLabelIds = [],
+    removeLabelIds = []
+  ) {
+    const entry = {
+      id: nextActionId++,
+      description,
+      emails,
+      addLabelIds,
+      removeLabelIds,
+      timestamp: Date.now(),
+      undone: false,
+    };
+    actionHistory = [entry, ...actionHistory].slice(0, MAX_ACTION_HISTORY);
+    renderHistoryPanel();
+    showToast(`${description}.`, entry);
+  }
+
+  /**
+   * Shows a short message at the bottom of the Reception view, with an Undo
+   * button when `undoEntry` is given.
+   */
+  function showToast(message, undoEntry = null) {
+    clearTimeout(toastTimer);
+    ui.toastMessageEl.textContent = message;
+    ui.toastUndoBtn.style.display = undoEntry ? "inline-block" : "none";
+    ui.toastUndoBtn.onclick = undoEntry ? () => undoAction(undoEntry) : null;
+    ui.toastEl.style.display = "flex";
+    toastTimer = setTimeout(() => {
+      ui.toastEl.style.display = "none";
+    }, TOAST_DURATION);
+  }
+
+  /**
+   * Reverses an action's label change and brings its cards back.
+   */
+  async function undoAction(entry) {
+    if (entry.undone) return;
+    const ids = messageIdsForChange(entry.emails, entry.removeLabelIds);
+    // Trashing can also take an email out of the inbox, so put it back there.
+    const labelsToRestore = entry.addLabelIds.includes("TRASH")
+      ? [...entry.removeLabelIds, "INBOX"]
+      : entry.removeLabelIds;
+    showToast("Undoing...");
+    const success = await modifyMessages(
+      ids,
+      labelsToRestore,
+      entry.addLabelIds
+    );
+    if (!success) {
+      showToast("Undo failed. Please try again.");
+      return;
+    }
+    entry.undone = true;
+    entry.emails.forEach((email) => removedEmailIds.delete(email.id));
+    const shownIds = new Set(renderedEmails.map((email) => email.id));
+    renderEmails([
+      ...renderedEmails,
+      ...entry.emails.filter((email) => !shownIds.has(email.id)),
+    ]);
+    restoreToAnalysisCache(entry.emails);
+    renderHistoryPanel();
+    showToast(`Undone: ${entry.description}.`);
+  }
+
+  /**
+   * Lists the recent undoable actions, newest first.
+   */
+  function renderHistoryPanel() {
+    if (actionHistory.length === 0) {
+      ui.historyPanelEl.innerHTML = `<div class="history-empty">No recent actions.</div>`;
+      return;
+    }
+    ui.historyPanelEl.innerHTML = actionHistory
+      .map(
+        (entry) => `
+        <div class="history-row" data-action-id="${entry.id}">
+          <span class="history-description">${escapeHtml(
+            entry.description
+          )}</span>
+          <span class="history-time">${new Date(
+            entry.timestamp
+          ).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}</span>
+          <button class="history-undo-btn" ${entry.undone ? "disabled" : ""}>${
+          entry.undone ? "Undone" : "Undo"
+        }</button>
+        </div>
+      `
+      )
+      .join("");
+    ui.historyPanelEl
+      .querySelectorAll(".history-undo-btn")
+      .forEach((button) => {
+        button.addEventListener("click", () => {
+          const actionId = Number(
+            button.closest(".history-row").dataset.actionId
+          );
+          const entry = actionHistory.find((a) => a.id === actionId);
+          if (entry) undoAction(entry);
+        });
+      });
+  }
+
+  // --- UNSUBSCRIBE ---
+
+  /**
+   * Reads the ways a mailing list offers to unsubscribe from its
+   * List-Unsubscribe header (RFC 2369), e.g.
+   * "<mailto:leave@list.com?subject=unsubscribe>, <https://list.com/u/123>".
+   * `oneClick` is set when List-Unsubscribe-Post says the https link takes a
+   * one-click POST (RFC 8058). An https link that isn't a valid URL, or a
+   * mailto: link that isn't to a single address, is ignored. Returns null if
+   * there's no way to unsubscribe.
+   */
+  function getUnsubscribeOptions(email) {
+    const header = getEmailHeader(email, "List-Unsubscribe");
+    const links = [...header.matchAll(/<([^>]+)>/g)].map((m) => m[1].trim());
+    const httpsUrl = links.find((link) => {
+      if (!/^https:\/\//i.test(link)) return false;
+      try {
+        new URL(link);
+        return true;
+      } catch {
+        return false;
       }
-      return true;
-    } catch (err) {
-      console.error(`Failed to modify email ${messageId}:`, err);
-      return false;
+    });
+    const mailto = links.find((link) => {
+      if (!/^mailto:/i.test(link)) return false;
+      try {
+        parseMailto(link);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+    if (!httpsUrl && !mailto) return null;
+    const oneClick =
+      !!httpsUrl &&
+      /List-Unsubscribe=One-Click/i.test(
+        getEmailHeader(email, "List-Unsubscribe-Post")
+      );
+    return { httpsUrl, mailto, oneClick };
+  }
+
+  const describeUnsubscribe = ({ httpsUrl, mailto, oneClick }) => {
+    if (oneClick) return "Unsubscribes right away (one-click)";
+    if (mailto)
+      return "Saves an unsubscribe email to your Drafts for you to send";
+    return `Opens the sender's unsubscribe page (${new URL(httpsUrl).host})`;
+  };
+
+  /**
+   * Splits a mailto: link into the recipient, subject and body of the email
+   * it asks for. The recipient goes into the draft's To header as it is, so
+   * anything but a single plain address (several addresses, or line breaks
+   * that would add headers of their own) is rejected.
+   */
+  function parseMailto(mailto) {
+    const [to, query = ""] = mailto.replace(/^mailto:/i, "").split("?");
+    const address = decodeURIComponent(to).trim();
+    if (!/^[^\s@,;:<>()"]+@[^\s@,;:<>()"]+\.[^\s@,;:<>()"]+$/.test(address)) {
+      throw new Error(`Not a single email address: ${address}`);
     }
+    const params = new URLSearchParams(query);
+    return {
+      to: address,
+      subject: params.get("subject") || "unsubscribe",
+      body: params.get("body") || "unsubscribe",
+    };
   }
-  const deleteEmail = (messageId) => modifyEmail(messageId, ["TRASH"], []);
-  const markEmailAsRead = (messageId) => modifyEmail(messageId, [], ["UNREAD"]);
 
-  // --- CORE LOGIC & RENDERING ---
+  /**
+   * Unsubscribes using the best option the sender offers: a one-click POST
+   * (sent from the background script, which isn't bound by Gmail's page), an
+   * unsubscribe email saved as a draft (never sent for the user), or the
+   * sender's own unsubscribe page. Returns a message describing what happened.
+   */
+  async function unsubscribe(options) {
+    if (options.oneClick) {
+      await new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(
+          { type: "ONE_CLICK_UNSUBSCRIBE", url: options.httpsUrl },
+          (resp) => {
+            if (chrome.runtime.lastError) {
+              return reject(chrome.runtime.lastError);
+            }
+            if (!resp || !resp.ok) {
+              return reject(new Error(resp?.error || "No response."));
+            }
+            resolve(resp);
+          }
+        );
+      });
+      return "Unsubscribe request sent.";
+    }
+    if (options.mailto) {
+      await saveDraft(buildMimeMessage(parseMailto(options.mailto)));
+      return "Unsubscribe email saved to your Drafts. Send it from Gmail to finish.";
+    }
+    window.open(options.httpsUrl, "_blank", "noopener");
+    return "Opened the sender's unsubscribe page.";
+  }
+
+  async function loadUnsubscribed() {
+    const data = await storage.get(STORAGE_KEYS.UNSUBSCRIBED);
+    return data[STORAGE_KEYS.UNSUBSCRIBED] || {};
+  }
 
   /**
-   * This is the main workflow function. It gets the user profile (or creates one),
-   * sends the recent emails for scoring, and then calls the function to display them.
+   * Runs an unsubscribe from a button (on a card or in the report), and
+   * remembers the sender so they drop out of the candidates report.
    */
-  async function analyzeAndDisplayEmails() {
-    if (!state.isSignedIn || !state.aiSession) {
-      setStatus("Please sign in first.");
+  async function handleUnsubscribe(sender, options, button, email = null) {
+    const name = sender.name || sender.address;
+    if (
+      !confirm(`Unsubscribe from ${name}?\n\n${describeUnsubscribe(options)}.`)
+    ) {
       return;
     }
-    ui.emailsEl.innerHTML = `<div class="loading-spinner">🧠 Preparing to analyze your inbox...</div>`;
-    ui.analyzeBtn.disabled = true;
-    ui.analyzeBtn.textContent = "Analyzing...";
-
+    button.disabled = true;
+    button.textContent = "Unsubscribing...";
     try {
-      setStatus("1/2: Loading user profile...");
-      let data = await storage.get([
-        STORAGE_KEYS.USER_PROFILE,
-        STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP,
-      ]);
-      let userProfile = data[STORAGE_KEYS.USER_PROFILE];
-      const lastAnalysis = data[STORAGE_KEYS.LAST_ANALYSIS_TIMESTAMP];
-      const isProfileStale =
-        !lastAnalysis || Date.now() - lastAnalysis > PROFILE_REFRESH_INTERVAL;
+      const message = await unsubscribe(options);
+      const unsubscribed = await loadUnsubscribed();
+      unsubscribed[sender.address] = {
+        method: options.oneClick
+          ? "one-click"
+          : options.mailto
+          ? "mailto"
+          : "web",
+        timestamp: Date.now(),
+      };
+      await storage.set({ [STORAGE_KEYS.UNSUBSCRIBED]: unsubscribed });
+      if (email)
+        recordFeedback([email], "unsubscribed").catch(logFeedbackError);
+      button.textContent = "Unsubscribed";
+      setStatus(`${name}: ${message}`);
+    } catch (err) {
+      console.error(`Failed to unsubscribe from ${sender.address}:`, err);
+      button.textContent = "Unsubscribe";
+      button.disabled = false;
+      alert("Failed to unsubscribe. Please try again.");
+    }
+  }
 
-      if (!userProfile || isProfileStale) {
-        setStatus(
-          `1/2: ${
-            !userProfile ? "No profile found." : "Profile is stale."
-          } Generating new one...`
+  /**
+   * Ranks the mailing-list senders the user engages with least: lots of
+   * email, few opens, replies or stars, and low scores put a sender near the
+   * top. Senders the user already unsubscribed from are left out.
+   */
+  async function findUnsubscribeCandidates() {
+    const stats = await loadSenderStats();
+    const unsubscribed = await loadUnsubscribed();
+    return Object.values(stats)
+      .filter(
+        (sender) =>
+          sender.unsubscribe &&
+          sender.received > 0 &&
+          !unsubscribed[sender.address]
+      )
+      .map((sender) => {
+        const engaged = ENGAGED_ACTIONS.reduce(
+          (sum, action) => sum + (sender.actions[action] || 0),
+          0
         );
-        userProfile = await generateUserProfile();
-      } else {
-        setStatus("1/2: User profile loaded from storage.");
-      }
+        const engagement = Math.min(engaged / sender.received, 1);
+        const averageScore = sender.scoreTotal / sender.received;
+        return {
+          ...sender,
+          engaged,
+          averageScore,
+          rank: sender.received * (1 - engagement) * (1 - averageScore / 100),
+        };
+      })
+      .filter((sender) => sender.rank > 0)
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, MAX_UNSUBSCRIBE_CANDIDATES);
+  }
 
-      const handleBatchProcessing = (processedEmails) => {
-        renderEmails(processedEmails);
-      };
+  /**
+   * Draws the unsubscribe report: the best candidates, each with its stats
+   * and an Unsubscribe button.
+   */
+  async function renderUnsubscribePanel() {
+    const candidates = await findUnsubscribeCandidates();
+    if (candidates.length === 0) {
+      ui.unsubscribePanelEl.innerHTML = `<div class="no-emails">No unsubscribe candidates yet. Mailing lists you rarely open show up here after a few scans.</div>`;
+      return;
+    }
+    ui.unsubscribePanelEl.innerHTML = `
+      <p class="profile-intro">Mailing lists you get a lot of email from but rarely open, reply to or star. Most likely to be worth unsubscribing from first.</p>
+      <ul class="unsubscribe-list">
+        ${candidates
+          .map(
+            (sender) => `
+          <li class="unsubscribe-row" data-sender="${escapeHtml(
+            sender.address
+          )}">
+            <div class="unsubscribe-sender">
+              <div class="unsubscribe-name">${escapeHtml(
+                sender.name || sender.address
+              )}</div>
+              <div class="unsubscribe-stats">${escapeHtml(sender.address)} · ${
+              sender.received
+            } emails · average score ${Math.round(sender.averageScore)} · ${
+              sender.engaged > 0
+                ? `engaged with ${sender.engaged}`
+                : "never opened"
+            }</div>
+            </div>
+            <button class="unsubscribe-btn" title="${describeUnsubscribe(
+              sender.unsubscribe
+            )}">Unsubscribe</button>
+          </li>
+        `
+          )
+          .join("")}
+      </ul>
+    `;
+    ui.unsubscribePanelEl
+      .querySelectorAll(".unsubscribe-row")
+      .forEach((row) => {
+        const sender = candidates.find((c) => c.address === row.dataset.sender);
+        row
+          .querySelector(".unsubscribe-name")
+          .addEventListener("click", () => openSenderView(sender.address));
+        row
+          .querySelector(".unsubscribe-btn")
+          .addEventListener("click", () =>
+            handleUnsubscribe(
+              sender,
+              sender.unsubscribe,
+              row.querySelector(".unsubscribe-btn")
+            )
+          );
+      });
+  }
 
-      await scoreRecentEmails(userProfile, handleBatchProcessing);
+  // --- GMAIL FILTERS ---
 
-      setStatus(
-        "Analysis complete. All emails have been processed and sorted."
+  /**
+   * Works out what a Gmail filter for a sender entry should match: the whole
+   * domain ("@example.com"), or just the address on shared webmail domains.
+   * Entries that are only a name can't be matched this way and give null.
+   */
+  function filterTargetFor(entry) {
+    const needle = extractEmailAddress(entry).replace(/^@/, "");
+    const domain = needle.split("@").pop();
+    if (!domain.includes(".")) return null;
+    if (SHARED_MAIL_DOMAINS.includes(domain)) {
+      return needle.includes("@") ? needle : null;
+    }
+    return `@${domain}`;
+  }
+
+  /**
+   * Proposes a Gmail filter for each domain that keeps landing among the
+   * profile's low-priority senders: one with several entries on the list, or
+   * with at least FILTER_PROPOSAL_MIN_EMAILS scanned emails. Name-only entries
+   * count towards the domains of the tracked senders they match. Domains an
+   * existing filter already covers are left out, and so are domains the user
+   * also gets important mail from (a high-priority sender, or a "From" rule
+   * that scores high): there, only the low-priority addresses themselves get
+   * a filter, so the boss's mail isn't archived along with the newsletter.
+   */
+  async function findFilterProposals(filters) {
+    const data = await storage.get(STORAGE_KEYS.USER_PROFILE);
+    const profile = data[STORAGE_KEYS.USER_PROFILE] || {};
+    const entries = profile.lowPrioritySenders || [];
+    const senders = Object.values(await loadSenderStats());
+    const importantEntries = [
+      ...(profile.highPrioritySenders || []),
+      ...(await loadUserRules())
+        .filter(
+          (rule) => rule.field === "from" && rule.score >= SCORE_THRESHOLD
+        )
+        .map((rule) => rule.value),
+    ].filter((entry) => entry && entry.trim());
+    const domainOf = (address) => address.replace(/^@/, "").split("@").pop();
+    const protectedDomains = new Set(
+      importantEntries
+        .flatMap((entry) => {
+          const domain = domainOf(extractEmailAddress(entry));
+          if (domain.includes(".")) return [domain];
+          return senders
+            .filter((sender) => senderMatches(entry, sender))
+            .map((sender) => domainOf(sender.address));
+        })
+        .map(baseDomain)
+    );
+    const targetFor = (address) => {
+      const target = filterTargetFor(address);
+      if (!target?.startsWith("@")) return target;
+      if (!protectedDomains.has(baseDomain(target.slice(1)))) return target;
+      return address.includes("@") && !address.startsWith("@")
+        ? extractEmailAddress(address)
+        : null;
+    };
+    const entriesByTarget = new Map();
+    entries.forEach((entry) => {
+      const targets = filterTargetFor(entry)
+        ? [targetFor(extractEmailAddress(entry))]
+        : senders
+            .filter((sender) => senderMatches(entry, sender))
+            .map((sender) => targetFor(sender.address));
+      targets.filter(Boolean).forEach((t) => {
+        if (!entriesByTarget.has(t)) entriesByTarget.set(t, new Set());
+        entriesByTarget.get(t).add(entry);
+      });
+    });
+    const covered = filters.map((f) => (f.criteria?.from || "").toLowerCase());
+    return [...entriesByTarget]
+      .filter(
+        ([from]) => !covered.some((c) => c.includes(from.replace(/^@/, "")))
+      )
+      .map(([from, targetEntries]) => {
+        const matching = senders.filter((s) => senderMatches(from, s));
+        const received = matching.reduce((sum, s) => sum + s.received, 0);
+        const scoreTotal = matching.reduce((sum, s) => sum + s.scoreTotal, 0);
+        return {
+          from,
+          entries: [...targetEntries],
+          received,
+          averageScore: received > 0 ? scoreTotal / received : null,
+        };
+      })
+      .filter(
+        (p) => p.entries.length > 1 || p.received >= FILTER_PROPOSAL_MIN_EMAILS
+      )
+      .sort((a, b) => b.received - a.received);
+  }
+
+  async function loadCreatedFilters() {
+    const data = await storage.get(STORAGE_KEYS.CREATED_FILTERS);
+    return data[STORAGE_KEYS.CREATED_FILTERS] || [];
+  }
+
+  /**
+   * Describes what a filter does, e.g. "Emails from @example.com: skip the
+   * inbox, mark as read".
+   */
+  function describeFilter(filter, labels) {
+    const { addLabelIds = [], removeLabelIds = [] } = filter.action || {};
+    const steps = [
+      removeLabelIds.includes("INBOX") && "skip the inbox",
+      removeLabelIds.includes("UNREAD") && "mark as read",
+      ...addLabelIds.map(
+        (id) => `label "${labels.find((l) => l.id === id)?.name || id}"`
+      ),
+    ].filter(Boolean);
+    return `Emails from ${filter.criteria?.from || "anyone"}: ${
+      steps.join(", ") || "no action"
+    }`;
+  }
+
+  /**
+   * Shows which existing emails a proposed filter would match: how many (up
+   * to FILTER_APPLY_LIMIT) and the first few of them.
+   */
+  async function renderFilterPreview(from, previewEl) {
+    previewEl.innerHTML = `<span class="profile-empty">Looking for matching emails...</span>`;
+    try {
+      const ids = await listMessageIds(`from:(${from})`, FILTER_APPLY_LIMIT);
+      const emails = await fetchMessageDetails(
+        ids.slice(0, FILTER_PREVIEW_LIMIT)
       );
+      if (emails.length === 0) {
+        previewEl.innerHTML = `<span class="profile-empty">No existing emails match. The filter will only catch new ones.</span>`;
+        return;
+      }
+      previewEl.innerHTML = `
+        <p>Matches ${ids.length}${
+        ids.length >= FILTER_APPLY_LIMIT ? "+" : ""
+      } existing emails${
+        ids.length > emails.length ? `, the latest ${emails.length}:` : ":"
+      }</p>
+        <ul>
+          ${emails
+            .map(
+              (email) => `
+            <li>
+              <span class="filter-preview-date">${new Date(
+                Number(email.internalDate)
+              ).toLocaleDateString()}</span>
+              ${escapeHtml(getEmailHeader(email, "Subject") || "(no subject)")}
+              <span class="filter-preview-sender">${escapeHtml(
+                getEmailHeader(email, "From")
+              )}</span>
+            </li>`
+            )
+            .join("")}
+        </ul>
+      `;
     } catch (err) {
-      console.error(err);
-      setStatus(`Error: ${err.message}. See console for details.`);
-      ui.emailsEl.innerHTML = `<div class="error-message">An error occurred: ${err.message}</div>`;
-    } finally {
-      ui.analyzeBtn.disabled = false;
-      ui.analyzeBtn.textContent = "Scan Unread Emails";
+      console.error(`Failed to preview a filter for ${from}:`, err);
+      previewEl.innerHTML = `<span class="profile-empty">Couldn't load matching emails.</span>`;
     }
   }
 
   /**
-   * Takes the list of scored emails and creates the HTML to display them.
-   * It sorts the emails by score and adds buttons for actions like delete and mark as read.
+   * Creates the Gmail filter chosen in a proposal's form, then offers to
+   * apply it to the matching emails already in the inbox, which a new Gmail
+   * filter leaves alone.
    */
-  function renderEmails(emails) {
-    ui.emailsEl.innerHTML = "";
+  async function handleCreateFilter(proposal, form, button) {
+    const skipInbox = form.elements.skipInbox.checked;
+    const markRead = form.elements.markRead.checked;
+    const applyLabel = form.elements.applyLabel.checked;
+    if (!skipInbox && !markRead && !applyLabel) {
+      alert("Choose at least one thing for the filter to do.");
+      return false;
+    }
+    button.disabled = true;
+    button.textContent = "Creating...";
+    try {
+      const action = {
+        addLabelIds: applyLabel ? [await ensureLabel(LOW_PRIORITY_LABEL)] : [],
+        removeLabelIds: [
+          ...(skipInbox ? ["INBOX"] : []),
+          ...(markRead ? ["UNREAD"] : []),
+        ],
+      };
+      const filter = await createFilter({ from: proposal.from }, action);
+      await storage.set({
+        [STORAGE_KEYS.CREATED_FILTERS]: [
+          ...(await loadCreatedFilters()),
+          filter.id,
+        ],
+      });
+      setStatus(`Gmail filter created for emails from ${proposal.from}.`);
 
-    if (!emails || emails.length === 0) {
-      ui.emailsEl.innerHTML = `<div class="no-emails">No priority emails found. You're all caught up!</div>`;
-      return;
+      const ids = await listMessageIds(
+        `from:(${proposal.from}) in:inbox`,
+        FILTER_APPLY_LIMIT
+      );
+      if (
+        ids.length > 0 &&
+        confirm(
+          `Filter created. Apply it to the ${ids.length} matching emails already in your inbox too?`
+        )
+      ) {
+        const success = await batchModifyEmails(
+          ids,
+          action.addLabelIds,
+          action.removeLabelIds
+        );
+        if (!success) {
+          alert(
+            "The filter was created, but applying it to existing emails failed."
+          );
+        } else if (skipInbox || markRead) {
+          removeEmailCards(
+            renderedEmails
+              .filter((email) =>
+                senderMatches(
+                  proposal.from,
+                  normalizeSender(getEmailHeader(email, "From"))
+                )
+              )
+              .map((email) => email.id)
+          );
+        }
+      }
+      return true;
+    } catch (err) {
+      console.error(`Failed to create a filter for ${proposal.from}:`, err);
+      button.textContent = "Create Filter";
+      button.disabled = false;
+      alert("Failed to create the Gmail filter. Please try again.");
+      return false;
     }
+  }
 
-    emails.sort((a, b) => b.analysisData.score - a.analysisData.score);
+  /**
+   * Draws the Gmail filters part of the profile panel: filter proposals for
+   * recurring low-priority domains, each with a preview, and the filters
+   * Reception created, each removable. Filters that were deleted in Gmail
+   * are forgotten here too.
+   */
+  async function renderFilterSettings(sectionEl) {
+    const contentEl = sectionEl.querySelector(".filter-content");
+    let filters;
+    let labels;
+    try {
+      filters = await fetchFilters();
+      labels = await loadLabels();
+    } catch (err) {
+      console.error("Failed to load Gmail filters:", err);
+      contentEl.innerHTML = `<span class="profile-empty">Couldn't load your Gmail filters. Sign out and back in to give Reception access to them.</span>`;
+      return;
+    }
+    const createdIds = await loadCreatedFilters();
+    const created = filters.filter((f) => createdIds.includes(f.id));
+    if (created.length !== createdIds.length) {
+      await storage.set({
+        [STORAGE_KEYS.CREATED_FILTERS]: created.map((f) => f.id),
+      });
+    }
+    const proposals = await findFilterProposals(filters);
 
-    emails.forEach((email) => {
-      const { analysisData } = email;
-      const getHeader = (name) =>
-        (
-          email.payload?.headers?.find(
-            (h) => h.name.toLowerCase() === name.toLowerCase()
-          ) || {}
-        ).value || "";
-      const isLowPriority =
-        analysisData.score >= 0 && analysisData.score < SCORE_THRESHOLD;
+    contentEl.innerHTML = `
+      <h3>Suggested</h3>
+      ${
+        proposals
+          .map(
+            (proposal) => `
+        <div class="filter-row" data-from="${escapeHtml(proposal.from)}">
+          <div class="filter-name">Emails from ${escapeHtml(
+            proposal.from
+          )}</div>
+          <div class="unsubscribe-stats">${[
+            proposal.received > 0 &&
+              `${proposal.received} emails scanned, average score ${Math.round(
+                proposal.averageScore
+              )}`,
+            `low priority as ${proposal.entries.join(", ")}`,
+          ]
+            .filter(Boolean)
+            .map(escapeHtml)
+            .join(" · ")}</div>
+          <form class="filter-form">
+            <label><input type="checkbox" name="skipInbox" checked /> Skip the inbox</label>
+            <label><input type="checkbox" name="markRead" /> Mark as read</label>
+            <label><input type="checkbox" name="applyLabel" checked /> Label "${escapeHtml(
+              LOW_PRIORITY_LABEL
+            )}"</label>
+            <button type="button" class="preview-filter-btn">Preview</button>
+            <button type="submit" class="create-filter-btn">Create Filter</button>
+          </form>
+          <div class="filter-preview"></div>
+        </div>`
+          )
+          .join("") ||
+        `<span class="profile-empty">No suggestions. Domains that keep turning up as low priority show up here.</span>`
+      }
+      <h3>Created by Reception</h3>
+      <div class="rule-list">
+        ${
+          created
+            .map(
+              (filter) => `
+          <div class="rule-row" data-filter-id="${escapeHtml(filter.id)}">
+            <span>${escapeHtml(describeFilter(filter, labels))}</span>
+            <button class="remove-filter-btn material-symbols-outlined" title="Delete filter">close</button>
+          </div>`
+            )
+            .join("") || `<span class="profile-empty">No filters yet.</span>`
+        }
+      </div>
+    `;
 
-      const card = document.createElement("div");
-      card.className = `email-card ${isLowPriority ? "is-low-priority" : ""}`;
-      card.dataset.emailId = email.id;
-      card.dataset.snippet = email.snippet || "";
+    contentEl.querySelectorAll(".filter-row").forEach((row) => {
+      const proposal = proposals.find((p) => p.from === row.dataset.from);
+      const form = row.querySelector(".filter-form");
+      row
+        .querySelector(".preview-filter-btn")
+        .addEventListener("click", () =>
+          renderFilterPreview(
+            proposal.from,
+            row.querySelector(".filter-preview")
+          )
+        );
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const button = form.querySelector(".create-filter-btn");
+        if (await handleCreateFilter(proposal, form, button)) {
+          renderFilterSettings(sectionEl);
+        }
+      });
+    });
 
-      card.innerHTML = `
-        <div class="email-card-header">
-          <div class="email-summary">
-            <span class="score" title="Relevance Score">${
-              analysisData.score < 0 ? "..." : analysisData.score
-            }</span>
-            <span class="summarized-title">${escapeHtml(
-              analysisData.summarizedTitle
-            )}</span>
-          </div>
-          <div class="email-sender">${escapeHtml(getHeader("From"))}</div>
-        </div>
-        <div class="email-card-body" style="display: none;">
-          <ul class="summary-points">
-            ${(analysisData.summaryPoints || [])
-              .map((p) => `<li>${escapeHtml(p)}</li>`)
-              .join("")}
-          </ul>
-          <div class="reasons-container">
-            ${(analysisData.positiveReasons || [])
-              .map(
-                (r) => `<span class="reason positive">${escapeHtml(r)}</span>`
-              )
-              .join("")}
-            ${(analysisData.negativeReasons || [])
-              .map(
-                (r) => `<span class="reason negative">${escapeHtml(r)}</span>`
-              )
-              .join("")}
-          </div>
-          <div class="email-actions">
-            <button class="mark-as-read-btn">Mark as Read</button>
-            <button class="delete-btn">Delete</button>
-            <button class="detailed-summary-btn" title="This may take a moment to generate">Show Detailed Summary</button>
-            ${
-              state.isTranslatorAvailable
-                ? `
-              <div class="translation-container">
-                <select class="translate-summary-select">
-                  <option value="">Translate Summary</option>
-                  <option value="es">Spanish</option>
-                  <option value="fr">French</option>
-                  <option value="de">German</option>
-                  <option value="hi">Hindi</option>
-                  <option value="zh">Chinese</option>
-                </select>
-              </div>
-            `
-                : ""
-            }
-            <a href="https://mail.google.com/mail/u/0/#inbox/${
-              email.id
-            }" target="_blank" class="open-in-gmail-link">Open in Gmail</a>
-          </div>
-        </div>
-      `;
-      ui.emailsEl.appendChild(card);
+    contentEl.querySelectorAll(".remove-filter-btn").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const filterId = button.closest(".rule-row").dataset.filterId;
+        const filter = created.find((f) => f.id === filterId);
+        if (
+          !confirm(
+            `Delete this Gmail filter?\n\n${describeFilter(filter, labels)}`
+          )
+        ) {
+          return;
+        }
+        button.disabled = true;
+        try {
+          await deleteFilter(filterId);
+          await storage.set({
+            [STORAGE_KEYS.CREATED_FILTERS]: createdIds.filter(
+              (id) => id !== filterId
+            ),
+          });
+          setStatus("Gmail filter deleted.");
+        } catch (err) {
+          console.error(`Failed to delete filter ${filterId}:`, err);
+          alert("Failed to delete the Gmail filter. Please try again.");
+        }
+        renderFilterSettings(sectionEl);
+      });
     });
+  }
+
+  // --- SENDER HISTORY ---
+
+  /**
+   * Opens the detail view for one sender, by address.
+   */
+  function openSenderView(address) {
+    ui.senderPanelEl.dataset.sender = address;
+    setActiveView("sender");
+    renderSenderPanel();
+  }
+
+  /**
+   * Draws the sender detail view: their stats, how the user treats their
+   * emails, whether they're on a profile list, and their latest emails.
+   */
+  async function renderSenderPanel() {
+    const address = ui.senderPanelEl.dataset.sender;
+    const stats = await loadSenderStats();
+    const data = await storage.get(STORAGE_KEYS.USER_PROFILE);
+    const profile = data[STORAGE_KEYS.USER_PROFILE] || {};
+    const sender = stats[address] || {
+      ...normalizeSender(address),
+      received: 0,
+      scoreTotal: 0,
+      actions: {},
+      recentEmails: [],
+    };
+    const domainSenders = Object.values(stats).filter(
+      (s) => s.domain === sender.domain && s.address !== sender.address
+    );
+    const percent = (count = 0) =>
+      sender.received > 0
+        ? `${Math.round(
+            (100 * Math.min(count, sender.received)) / sender.received
+          )}%`
+        : "–";
+    const statTile = (label, value, detail = "") => `
+      <div class="sender-stat">
+        <div class="sender-stat-value">${value}</div>
+        <div class="sender-stat-label">${label}${
+      detail ? ` <span>(${detail})</span>` : ""
+    }</div>
+      </div>
+    `;
+    const listedIn = PROFILE_LISTS.filter(
+      ({ key, isSenderList }) =>
+        isSenderList &&
+        (profile[key] || []).some((entry) => senderMatches(entry, sender))
+    );
 
-    // --- EVENT LISTENERS ---
+    ui.senderPanelEl.innerHTML = `
+      <button class="back-to-emails-btn">← Back to Emails</button>
+      <h2 class="sender-name">${escapeHtml(sender.name || sender.address)}</h2>
+      <div class="sender-address">${escapeHtml(sender.address)} · ${escapeHtml(
+      sender.domain
+    )}${
+      domainSenders.length > 0
+        ? ` · ${domainSenders.length} other sender${
+            domainSenders.length === 1 ? "" : "s"
+          } at this domain`
+        : ""
+    }</div>
+      <div class="sender-stats">
+        ${statTile("Emails received", sender.received)}
+        ${statTile(
+          "Average score",
+          sender.received > 0
+            ? Math.round(sender.scoreTotal / sender.received)
+            : "–"
+        )}
+        ${statTile(
+          "Read",
+          sender.actions.read || 0,
+          percent(sender.actions.read)
+        )}
+        ${statTile(
+          "Deleted",
+          sender.actions.deleted || 0,
+          percent(sender.actions.deleted)
+        )}
+        ${statTile(
+          "Starred",
+          sender.actions.starred || 0,
+          percent(sender.actions.starred)
+        )}
+        ${statTile(
+          "Archived",
+          sender.actions.archived || 0,
+          percent(sender.actions.archived)
+        )}
+      </div>
+      <div class="sender-profile-status">
+        ${
+          listedIn.length > 0
+            ? `On your profile: ${listedIn
+                .map(({ label }) => escapeHtml(label))
+                .join(", ")}.`
+            : "Not on any of your profile's sender lists."
+        }
+        ${PROFILE_LISTS.filter(({ isSenderList }) => isSenderList)
+          .filter(({ key }) => !listedIn.some((l) => l.key === key))
+          .map(
+            ({ key, label }) =>
+              `<button class="add-sender-to-list-btn" data-list-key="${key}">Add to ${label.toLowerCase()}</button>`
+          )
+          .join("")}
+      </div>
+      <h3>Recent emails</h3>
+      ${
+        sender.recentEmails.length > 0
+          ? `<ul class="sender-recent-emails">${sender.recentEmails
+              .map(
+                (email) => `
+          <li>
+            <span class="score">${email.score}</span>
+            <a href="${gmailThreadUrl(
+              email.threadId
+            )}" target="_blank">${escapeHtml(email.title)}</a>
+            <span class="sender-email-date">${new Date(
+              email.date
+            ).toLocaleDateString()}</span>
+          </li>`
+              )
+              .join("")}</ul>`
+          : `<div class="profile-empty">No scanned emails from this sender yet.</div>`
+      }
+    `;
 
-    ui.emailsEl.querySelectorAll(".email-card-header").forEach((header) => {
-      header.addEventListener("click", () => {
-        const body = header.nextElementSibling;
-        body.style.display = body.style.display === "none" ? "block" : "none";
+    ui.senderPanelEl
+      .querySelector(".back-to-emails-btn")
+      .addEventListener("click", () => setActiveView("emails"));
+    ui.senderPanelEl
+      .querySelectorAll(".add-sender-to-list-btn")
+      .forEach((button) => {
+        button.addEventListener("click", async () => {
+          button.disabled = true;
+          await addProfileEntry(button.dataset.listKey, sender.address);
+          renderSenderPanel();
+        });
       });
+  }
+
+  // --- PROFILE EDITOR ---
+
+  /**
+   * Loads the user's manual corrections to the profile: entries they pinned
+   * (or added themselves) and entries they removed. Each is a map from a
+   * profile list name to an array of strings.
+   */
+  async function loadProfileOverrides() {
+    const data = await storage.get(STORAGE_KEYS.PROFILE_OVERRIDES);
+    const overrides = data[STORAGE_KEYS.PROFILE_OVERRIDES] || {};
+    const pinned = {};
+    const removed = {};
+    PROFILE_LISTS.forEach(({ key }) => {
+      pinned[key] = overrides.pinned?.[key] || [];
+      removed[key] = overrides.removed?.[key] || [];
     });
+    return { pinned, removed };
+  }
 
-    ui.emailsEl
-      .querySelectorAll(".translate-summary-select")
-      .forEach((select) => {
-        select.addEventListener("change", handleTranslationRequest);
-      });
+  // Entries with an address in them are compared by address alone, so
+  // "Amazon <no-reply@amazon.com>" and "no-reply@amazon.com" are the same.
+  const entryKey = (v) =>
+    v.includes("@") ? extractEmailAddress(v) : v.trim().toLowerCase();
+  const sameEntry = (a, b) => entryKey(a) === entryKey(b);
+  const hasEntry = (list, value) => list.some((v) => sameEntry(v, value));
+  const withoutEntry = (list, value) =>
+    list.filter((v) => !sameEntry(v, value));
 
-    ui.emailsEl.querySelectorAll(".detailed-summary-btn").forEach((button) => {
-      button.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const card = button.closest(".email-card");
-        const summaryPointsEl = card.querySelector(".summary-points");
+  /**
+   * Applies the user's corrections on top of a profile, so pinned entries are
+   * always present and removed ones never come back after an AI regeneration.
+   */
+  function applyProfileOverrides(profile, overrides) {
+    const result = { ...profile };
+    PROFILE_LISTS.forEach(({ key, isSenderList }) => {
+      const entries = [];
+      [...(profile[key] || []), ...overrides.pinned[key]]
+        .filter((v) => !hasEntry(overrides.removed[key], v))
+        // Senders are stored as bare addresses (or domains).
+        .map((v) => (isSenderList ? extractEmailAddress(v) : v))
+        .forEach((v) => {
+          if (v && !hasEntry(entries, v)) entries.push(v);
+        });
+      result[key] = entries;
+    });
+    return result;
+  }
 
-        if (!state.summarizer) {
-          summaryPointsEl.innerHTML = `<li>❌ Summarizer API is not available.</li>`;
-          button.remove();
-          return;
-        }
-        button.textContent = "🧠 Generating...";
-        button.disabled = true;
+  /**
+   * Applies an edit to both the stored overrides and the stored profile.
+   * Saving a changed profile also invalidates the analysis cache, because
+   * cached scores were computed against the old profile.
+   */
+  async function updateProfile(edit) {
+    const data = await storage.get(STORAGE_KEYS.USER_PROFILE);
+    const overrides = await loadProfileOverrides();
+    const profile = data[STORAGE_KEYS.USER_PROFILE] || {};
+    edit(overrides);
+    await storage.set({
+      [STORAGE_KEYS.PROFILE_OVERRIDES]: overrides,
+      [STORAGE_KEYS.USER_PROFILE]: applyProfileOverrides(profile, overrides),
+    });
+  }
 
-        try {
-          const snippet = card.dataset.snippet;
-          if (!snippet) throw new Error("No content to summarize.");
-          const stream = await state.summarizer.summarizeStreaming(snippet);
+  // Anything the user adds by hand is pinned, so the AI can't drop it later.
+  const addProfileEntry = (listKey, value) =>
+    updateProfile((overrides) => {
+      overrides.removed[listKey] = withoutEntry(
+        overrides.removed[listKey],
+        value
+      );
+      if (!hasEntry(overrides.pinned[listKey], value)) {
+        overrides.pinned[listKey].push(value);
+      }
+    });
 
-          // 2. Clear the list and prepare to show streaming text
-          summaryPointsEl.innerHTML = "<li></li>"; // Create one list item
-          const streamingLi = summaryPointsEl.querySelector("li");
-          let fullSummary = ""; // To store the complete text
+  const removeProfileEntry = (listKey, value) =>
+    updateProfile((overrides) => {
+      overrides.pinned[listKey] = withoutEntry(
+        overrides.pinned[listKey],
+        value
+      );
+      if (!hasEntry(overrides.removed[listKey], value)) {
+        overrides.removed[listKey].push(value);
+      }
+    });
 
-          // 3. Loop through the stream and append chunks
-          for await (const chunk of stream) {
-            fullSummary += chunk;
-            streamingLi.textContent = fullSummary; // Update UI in real-time
-          }
+  const toggleProfileEntryPin = (listKey, value) =>
+    updateProfile((overrides) => {
+      overrides.pinned[listKey] = hasEntry(overrides.pinned[listKey], value)
+        ? withoutEntry(overrides.pinned[listKey], value)
+        : [...overrides.pinned[listKey], value];
+    });
 
-          // 4. Once streaming is done, format the full text into points
-          const points = fullSummary
-            .split("\n") // Now you can safely call .split()
-            .filter((p) => p.trim() !== "")
-            .map((p) => p.replace(/^- /, ""));
+  /**
+   * Shows one view in the content area: the email list ("emails"), the to-do
+   * list ("todo"), the digest ("digest"), the unsubscribe report
+   * ("unsubscribe"), the profile editor ("profile") or a sender's history
+   * ("sender").
+   */
+  function setActiveView(view) {
+    activeView = view;
+    const panels = {
+      emails: ui.emailsEl,
+      todo: ui.todoPanelEl,
+      digest: ui.digestPanelEl,
+      unsubscribe: ui.unsubscribePanelEl,
+      profile: ui.profilePanelEl,
+      sender: ui.senderPanelEl,
+    };
+    Object.entries(panels).forEach(([name, panel]) => {
+      panel.style.display = name === view ? "" : "none";
+    });
+    ui.tabsEl.querySelectorAll("[data-view]").forEach((tab) => {
+      tab.classList.toggle("is-active", tab.dataset.view === view);
+    });
+    updateBulkToolbar();
+    ui.profileBtn.textContent =
+      view === "profile" ? "Back to Emails" : "Edit Profile";
+    if (view === "profile") renderProfilePanel();
+    if (view === "todo") renderTodoPanel();
+    if (view === "digest") renderDigestPanel();
+    if (view === "unsubscribe") renderUnsubscribePanel();
+  }
 
-          // 5. Set the final HTML with proper list items
-          summaryPointsEl.innerHTML = points
-            .map((p) => `<li>${escapeHtml(p)}</li>`)
-            .join("");
+  /**
+   * Draws the four profile lists as removable, pinnable chips, each with a
+   * small form for adding new entries.
+   */
+  async function renderProfilePanel() {
+    const data = await storage.get(STORAGE_KEYS.USER_PROFILE);
+    const profile = data[STORAGE_KEYS.USER_PROFILE];
+    const overrides = await loadProfileOverrides();
+    const rules = await loadUserRules();
 
-          // --- END OF FIX ---
-          button.remove();
-        } catch (err) {
-          console.error("Detailed summarization failed:", err);
-          summaryPointsEl.innerHTML += `<li>❌ Could not generate detailed summary.</li>`;
-          button.textContent = "Retry Detailed Summary";
-          button.disabled = false;
-        }
-      });
+    ui.profilePanelEl.innerHTML = `
+      <p class="profile-intro">${
+        profile
+          ? "This is what the AI has learned about your priorities. Pinned entries are kept every time the profile is regenerated."
+          : "No profile yet. Run a scan to generate one, or start adding entries yourself."
+      }</p>
+      ${PROFILE_LISTS.map(
+        ({ key, label }) => `
+        <div class="profile-section" data-list="${key}">
+          <h2>${label}</h2>
+          <div class="profile-entries">
+            ${
+              (profile?.[key] || [])
+                .map((entry) => {
+                  const isPinned = hasEntry(overrides.pinned[key], entry);
+                  return `
+                <span class="profile-entry ${
+                  isPinned ? "is-pinned" : ""
+                }" data-entry="${escapeHtml(entry)}">
+                  <span>${escapeHtml(entry)}</span>
+                  <button class="pin-entry-btn material-symbols-outlined" title="${
+                    isPinned ? "Unpin" : "Pin (keep across regenerations)"
+                  }">keep</button>
+                  <button class="remove-entry-btn material-symbols-outlined" title="Remove">close</button>
+                </span>`;
+                })
+                .join("") ||
+              `<span class="profile-empty">Nothing here yet.</span>`
+            }
+          </div>
+          <form class="add-entry-form">
+            <input type="text" placeholder="Add to ${label.toLowerCase()}..." />
+            <button type="submit">Add</button>
+          </form>
+        </div>
+      `
+      ).join("")}
+      <div class="profile-section rules-section">
+        <h2>Rules</h2>
+        <p class="profile-intro">Emails matching a rule get its score straight away, without asking the AI.</p>
+        <div class="rule-list">
+          ${
+            rules
+              .map(
+                (rule) => `
+            <div class="rule-row" data-rule-id="${rule.id}">
+              <span>${escapeHtml(
+                describeRule(rule).replace(/^Your rule: /, "")
+              )} → score ${rule.score}</span>
+              <button class="remove-rule-btn material-symbols-outlined" title="Delete rule">close</button>
+            </div>`
+              )
+              .join("") || `<span class="profile-empty">No rules yet.</span>`
+          }
+        </div>
+        <form class="add-rule-form">
+          <select name="field">
+            ${Object.entries(RULE_FIELDS)
+              .map(
+                ([field, label]) => `<option value="${field}">${label}</option>`
+              )
+              .join("")}
+          </select>
+          <input type="text" name="value" list="rule-label-names" placeholder="e.g. invoice, or a label name like Work" />
+          <datalist id="rule-label-names"></datalist>
+          <input type="number" name="score" min="0" max="100" value="90" title="Score (0-100)" />
+          <button type="submit">Add Rule</button>
+        </form>
+      </div>
+      <div class="profile-section filters-section">
+        <h2>Gmail Filters</h2>
+        <p class="profile-intro">Gmail filters keep handling a sender's email as it arrives, even when Reception isn't open.</p>
+        <div class="filter-content">
+          <span class="profile-empty">Loading your Gmail filters...</span>
+        </div>
+      </div>
+    `;
+
+    ui.profilePanelEl.querySelectorAll(".profile-entry").forEach((chip) => {
+      const listKey = chip.closest(".profile-section").dataset.list;
+      const entry = chip.dataset.entry;
+      chip
+        .querySelector(".pin-entry-btn")
+        .addEventListener("click", async () => {
+          await toggleProfileEntryPin(listKey, entry);
+          renderProfilePanel();
+        });
+      chip
+        .querySelector(".remove-entry-btn")
+        .addEventListener("click", async () => {
+          await removeProfileEntry(listKey, entry);
+          renderProfilePanel();
+        });
     });
 
-    ui.emailsEl.querySelectorAll(".mark-as-read-btn").forEach((button) => {
-      button.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const card = button.closest(".email-card");
-        const emailId = card.dataset.emailId;
-        button.textContent = "Marking...";
-        button.disabled = true;
-        const success = await markEmailAsRead(emailId);
-        if (success) {
-          card.style.transition =
-            "opacity 0.5s ease, height 0.5s ease, padding 0.5s ease, margin 0.5s ease";
-          card.style.opacity = "0";
-          card.style.height = "0";
-          card.style.padding = "0";
-          card.style.margin = "0";
-          setTimeout(() => card.remove(), 500);
-        } else {
-          button.textContent = "Mark as Read";
-          button.disabled = false;
-          alert("Failed to mark email as read. Please try again.");
-        }
+    ui.profilePanelEl.querySelectorAll(".add-entry-form").forEach((form) => {
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const input = form.querySelector("input");
+        const value = input.value.trim();
+        if (!value) return;
+        await addProfileEntry(
+          form.closest(".profile-section").dataset.list,
+          value
+        );
+        renderProfilePanel();
       });
     });
 
-    ui.emailsEl.querySelectorAll(".delete-btn").forEach((button) => {
-      button.addEventListener("click", async (e) => {
-        e.stopPropagation();
-        const card = button.closest(".email-card");
-        const emailId = card.dataset.emailId;
-        if (
-          !confirm("Are you sure you want to move this email to the trash?")
-        ) {
-          return;
-        }
-        button.textContent = "Deleting...";
-        button.disabled = true;
-        const success = await deleteEmail(emailId);
-        if (success) {
-          card.style.transition =
-            "opacity 0.5s ease, height 0.5s ease, padding 0.5s ease, margin 0.5s ease";
-          card.style.opacity = "0";
-          card.style.height = "0";
-          card.style.padding = "0";
-          card.style.margin = "0";
-          setTimeout(() => card.remove(), 500);
-        } else {
-          button.textContent = "Delete";
-          button.disabled = false;
-          alert("Failed to delete the email. Please try again.");
-        }
+    ui.profilePanelEl.querySelectorAll(".remove-rule-btn").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const ruleId = button.closest(".rule-row").dataset.ruleId;
+        await saveUserRules(rules.filter((r) => r.id !== ruleId));
+        renderProfilePanel();
       });
     });
+
+    const ruleForm = ui.profilePanelEl.querySelector(".add-rule-form");
+    ruleForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const field = ruleForm.elements.field.value;
+      const value = ruleForm.elements.value.value.trim();
+      const score = Number(ruleForm.elements.score.value);
+      if (field !== "listUnsubscribe" && !value) return;
+      if (!Number.isFinite(score) || score < 0 || score > 100) return;
+      await saveUserRules([
+        ...rules,
+        { id: Date.now().toString(36), field, value, score },
+      ]);
+      renderProfilePanel();
+    });
+
+    // Suggest the user's label names for label rules.
+    loadLabels()
+      .then((labels) => {
+        ui.profilePanelEl.querySelector("#rule-label-names").innerHTML = labels
+          .map((label) => `<option value="${escapeHtml(label.name)}"></option>`)
+          .join("");
+      })
+      .catch((err) => console.error("Failed to load labels:", err));
+
+    renderFilterSettings(ui.profilePanelEl.querySelector(".filters-section"));
   }
 
   // --- AUTHENTICATION & UI SETUP ---
@@ -639,23 +5524,132 @@
     return await self.LanguageModel.create();
   }
 
+  /**
+   * Moves data saved before Reception kept it per account over to the first
+   * account that signs in, unless that account already has its own.
+   */
+  async function migrateLegacyStorage() {
+    const keys = Object.values(STORAGE_KEYS);
+    const legacy = await chrome.storage.local.get(keys);
+    if (Object.keys(legacy).length === 0) return;
+    const existing = await storage.get(keys);
+    if (Object.keys(existing).length === 0) await storage.set(legacy);
+    await chrome.storage.local.remove(keys);
+  }
+
+  /**
+   * Adds the signed-in account to (or removes it from) the list of accounts
+   * the background scan checks.
+   */
+  async function updateSignedInAccounts(account, isSignedIn) {
+    const data = await chrome.storage.local.get(ACCOUNTS_KEY);
+    const accounts = (data[ACCOUNTS_KEY] || []).filter((a) => a !== account);
+    await chrome.storage.local.set({
+      [ACCOUNTS_KEY]: isSignedIn ? [...accounts, account] : accounts,
+    });
+  }
+
+  /**
+   * Asks background.js for a token ("GET_TOKEN" or "REFRESH_TOKEN") and
+   * resolves with `{ token, account }`.
+   */
+  function requestToken(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (resp) => {
+        if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+        if (!resp || resp.error)
+          return reject(new Error(resp?.error || "No response."));
+        resolve(resp);
+      });
+    });
+  }
+
+  /**
+   * Gets a new token after Gmail rejected the current one. background.js
+   * drops the cached token and fetches a fresh one without any UI; only if
+   * that fails is the user asked to sign in again. If they don't, Reception
+   * goes back to its signed-out state and the request fails.
+   */
+  function refreshAccessToken() {
+    if (tokenRefresh) return tokenRefresh;
+    const { accessToken, account } = state;
+    tokenRefresh = (async () => {
+      try {
+        const result = await requestToken({
+          type: "REFRESH_TOKEN",
+          token: accessToken,
+          account,
+        }).catch(() => {
+          setStatus("Your Google session expired. Please sign in again...");
+          return requestToken({
+            type: "GET_TOKEN",
+            account,
+            interactive: true,
+          });
+        });
+        if (result.account !== account) {
+          throw new Error(`Signed in as ${result.account}, not ${account}.`);
+        }
+        state.accessToken = result.token;
+      } catch (err) {
+        console.error("Failed to refresh the access token:", err);
+        resetSignedInState();
+        setStatus("Your Google session expired. Sign in to continue.");
+        throw new Error("Your Google session expired.");
+      } finally {
+        tokenRefresh = null;
+      }
+    })();
+    return tokenRefresh;
+  }
+
+  /**
+   * Signs back in without any UI after the page is reloaded, if this tab's
+   * account was signed in to Reception before (and hasn't signed out since).
+   */
+  async function restoreSignIn() {
+    if (state.isSignedIn) return;
+    const email = await fetchTabAccountEmail().catch(() => null);
+    if (!email) return;
+    const data = await chrome.storage.local.get(ACCOUNTS_KEY);
+    if (!(data[ACCOUNTS_KEY] || []).includes(email)) return;
+    await handleSignIn({ interactive: false });
+  }
+
   /**
    * Handles the interactive sign-in process when the user clicks the "Sign In" button.
-   * It requests an authentication token from Google.
+   * It requests an authentication token from Google for the account this
+   * Gmail tab shows, which must be one of the Chrome profile's accounts.
+   * With `interactive` false (restoring a session), it never shows any UI
+   * and quietly stays signed out if that isn't enough.
    */
-  async function handleSignIn() {
-    setStatus("Requesting token...");
+  async function handleSignIn({ interactive = true } = {}) {
+    setStatus(interactive ? "Requesting token..." : "Signing back in...");
     try {
-      const token = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({ type: "GET_TOKEN" }, (resp) => {
-          if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
-          if (!resp || resp.error)
-            return reject(new Error(resp.error || "No response."));
-          resolve(resp.token);
-        });
+      const tabEmail = await fetchTabAccountEmail();
+      // Without the address, the token could be for another account than the
+      // one this tab shows.
+      if (!tabEmail) {
+        throw new Error(
+          "Couldn't tell which account this tab shows. Reload Gmail, then try again."
+        );
+      }
+      const { token, account } = await requestToken({
+        type: "GET_TOKEN",
+        account: tabEmail,
+        interactive,
       });
+      if (account !== tabEmail) {
+        throw new Error(
+          `Signed in as ${account}, but this tab shows ${tabEmail}.`
+        );
+      }
       state.accessToken = token;
+      state.account = account;
       state.isSignedIn = true;
+      await migrateLegacyStorage();
+      await updateSignedInAccounts(account, true);
+      await loadListView();
 
       setStatus("Creating AI session...");
       state.aiSession = await createAiSession();
@@ -684,18 +5678,18 @@
       }
 
       updateUIForState();
-      setStatus("Signed in successfully. Click 'Scan Unread Emails' to start.");
+      setStatus(
+        `Signed in as ${state.account}. Click 'Scan Unread Emails' to start.`
+      );
+      await showCachedAnalysis();
     } catch (err) {
       console.error("Sign-in failed:", err);
-      setStatus(`Auth error: ${err.message}`);
-      state = {
-        accessToken: null,
-        isSignedIn: false,
-        aiSession: null,
-        summarizer: null,
-        isTranslatorAvailable: false,
-        translators: {},
-      };
+      setStatus(
+        interactive
+          ? `Auth error: ${err.message}`
+          : "Please sign in to prioritize your inbox."
+      );
+      state = createInitialState();
       updateUIForState();
     }
   }
@@ -703,25 +5697,43 @@
     if (!state.accessToken) return;
     setStatus("Signing out...");
     chrome.runtime.sendMessage(
-      { type: "REMOVE_TOKEN", token: state.accessToken },
+      {
+        type: "REMOVE_TOKEN",
+        token: state.accessToken,
+        account: state.account,
+      },
       () => {
-        if (state.aiSession?.destroy) state.aiSession.destroy();
-        state = {
-          accessToken: null,
-          isSignedIn: false,
-          aiSession: null,
-          summarizer: null,
-          isTranslatorAvailable: false,
-          translators: {},
-        };
-        storage.clear();
-        if (ui.emailsEl) ui.emailsEl.innerHTML = "";
-        updateUIForState();
+        storage.clearCaches();
+        updateSignedInAccounts(state.account, false);
+        resetSignedInState();
         setStatus("Signed out.");
       }
     );
   }
 
+  /**
+   * Takes Reception back to its signed-out state: drops the AI session and
+   * everything shown for the account (cards, selection, filters, undo
+   * history), so nothing is left acting on it without a token.
+   */
+  function resetSignedInState() {
+    if (state.aiSession?.destroy) state.aiSession.destroy();
+    state = createInitialState();
+    renderedEmails = [];
+    selectedEmailIds.clear();
+    listView = { ...DEFAULT_LIST_VIEW };
+    searchQuery = "";
+    ui.listSearchInput.value = "";
+    actionHistory = [];
+    renderHistoryPanel();
+    ui.historyPanelEl.style.display = "none";
+    ui.toastEl.style.display = "none";
+    if (ui.emailsEl) ui.emailsEl.innerHTML = "";
+    ui.todoCountEl.textContent = "";
+    setActiveView("emails");
+    updateUIForState();
+  }
+
   /**
    * Shows or hides the correct buttons (e.g., "Sign In" vs. "Sign Out")
    * based on the current login state.
@@ -732,6 +5744,10 @@
     ui.signoutBtn.style.display = showSignedIn ? "inline-block" : "none";
     ui.analyzeBtn.style.display = showSignedIn ? "inline-block" : "none";
     ui.analyzeBtn.disabled = !state.aiSession;
+    ui.profileBtn.style.display = showSignedIn ? "inline-block" : "none";
+    ui.historyBtn.style.display = showSignedIn ? "inline-block" : "none";
+    ui.tabsEl.style.display = showSignedIn ? "flex" : "none";
+    if (showSignedIn) updateTodoCount();
   }
 
   /**
@@ -850,7 +5866,7 @@
 
         #reception-container {
           width: 100%; height: 100%; background-color: white;
-          display: none; flex-direction: column; overflow: hidden;
+          display: none; flex-direction: column; overflow: hidden; position: relative;
         }
         #reception-header {
           padding: 12px 24px; border-bottom: 1px solid var(--gmail-border-color);
@@ -876,17 +5892,60 @@
         #analyzeBtn { background-color: #c2e7ff; color: #001d35; }
         #analyzeBtn:hover { background-color: #aedcff; }
         #analyzeBtn:disabled { background-color: #e0e0e0; color: #a1a1a1; cursor: not-allowed; }
-        #signBtn, #signoutBtn { background-color: #f1f3f4; color: #444746; }
-        #signBtn:hover, #signoutBtn:hover { background-color: #e8eaed; }
+        #signBtn, #signoutBtn, #profileBtn, #historyBtn { background-color: #f1f3f4; color: #444746; }
+        #signBtn:hover, #signoutBtn:hover, #profileBtn:hover, #historyBtn:hover { background-color: #e8eaed; }
+        #history-panel {
+          position: absolute; top: 64px; right: 24px; width: 380px; max-height: 60%; overflow-y: auto; z-index: 2;
+          background-color: white; border-radius: 8px; padding: 8px 0;
+          box-shadow: 0 1px 3px 0 rgba(60,64,67,0.3), 0 4px 8px 3px rgba(60,64,67,0.15);
+        }
+        .history-row { display: flex; align-items: center; gap: 12px; padding: 8px 16px; font-size: 13px; color: #3c4043; }
+        .history-description { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .history-time { color: var(--gmail-text-color-secondary); }
+        .history-undo-btn {
+          background-color: transparent; color: #0b57d0; border: none; cursor: pointer;
+          font-size: 13px; font-weight: 500; padding: 4px 8px; border-radius: 4px;
+        }
+        .history-undo-btn:hover:not(:disabled) { background-color: #e8f0fe; }
+        .history-undo-btn:disabled { color: var(--gmail-text-color-secondary); cursor: default; }
+        .history-empty { padding: 8px 16px; font-size: 13px; color: var(--gmail-text-color-secondary); }
+        #toast {
+          position: absolute; bottom: 24px; left: 24px; z-index: 3; align-items: center; gap: 24px;
+          background-color: #303030; color: #f2f2f2; font-size: 14px; padding: 12px 16px; border-radius: 4px;
+          box-shadow: 0 3px 5px -1px rgba(0,0,0,0.2), 0 6px 10px 0 rgba(0,0,0,0.14);
+        }
+        #toastUndoBtn {
+          background-color: transparent; color: #a8c7fa; border: none; cursor: pointer;
+          font-size: 14px; font-weight: 500; padding: 0;
+        }
         #reception-status {
           padding: 8px 24px; background: var(--gmail-background-color);
           border-bottom: 1px solid var(--gmail-border-color);
         }
         #status-message { margin: 0; font-size: 14px; color: var(--gmail-text-color-secondary); }
+        #reception-tabs { gap: 4px; padding: 0 24px; border-bottom: 1px solid var(--gmail-border-color); }
+        #reception-tabs button {
+          background: transparent; border: none; border-bottom: 3px solid transparent; cursor: pointer;
+          padding: 10px 16px; font-size: 14px; font-weight: 500; color: var(--gmail-text-color-secondary); font-family: inherit;
+        }
+        #reception-tabs button.is-active { color: #0b57d0; border-bottom-color: #0b57d0; }
+        #todo-count:not(:empty) { background-color: #e8f0fe; color: #0b57d0; border-radius: 10px; padding: 1px 7px; font-size: 12px; margin-left: 4px; }
         #reception-content { flex: 1; overflow-y: auto; background-color: white; }
+        #bulk-toolbar {
+          display: flex; align-items: center; gap: 10px; padding: 8px 24px;
+          border-bottom: 1px solid var(--gmail-border-color); font-size: 13px;
+        }
+        #bulk-toolbar button, #bulk-toolbar select {
+          background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 6px 14px;
+          border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500; font-family: inherit;
+        }
+        #bulk-toolbar button:hover:not(:disabled) { background-color: #f1f3f4; }
+        #bulk-toolbar button:disabled, #bulk-toolbar select:disabled { opacity: 0.5; cursor: default; }
+        .select-all-label { display: flex; align-items: center; gap: 8px; color: var(--gmail-text-color-secondary); min-width: 110px; }
+        .bulk-actions { display: flex; gap: 8px; margin-left: auto; }
+        .select-email-checkbox { margin: 0 14px 0 0; cursor: pointer; }
+        .email-card.is-selected { background-color: #e8f0fe; }
         #email-list { display: flex; flex-direction: column; }
-        
-        /* ... rest of your styles ... */
         .email-card {
           border-bottom: 1px solid var(--gmail-border-color);
           transition: background-color 0.2s, opacity 0.2s;
@@ -899,9 +5958,82 @@
         .email-card.is-low-priority:hover { opacity: 1; background-color: var(--gmail-background-color); }
         .email-card-header { padding: 12px 10px 12px 24px; display: flex; align-items: center; cursor: pointer; }
         .email-summary { display: flex; align-items: center; gap: 16px; flex-grow: 1; min-width: 0; }
+        .score.is-rule-scored { border-style: dashed; background-color: #fef7e0; border-color: #f9ab00; }
         .score { font-weight: bold; color: var(--gmail-text-color-primary); font-size: 13px; border: 1px solid #d2e3fc; border-radius: 4px; padding: 3px 8px; background-color: #e8f0fe; min-width: 20px; text-align: center; }
+        .thread-count { display: inline-flex; align-items: center; gap: 2px; flex-shrink: 0; font-size: 12px; color: var(--gmail-text-color-secondary); }
+        .thread-count .material-symbols-outlined { font-size: 16px; }
+        .category-chip {
+          display: inline-flex; align-items: center; gap: 4px; flex-shrink: 0; padding: 2px 8px;
+          border-radius: 12px; font-size: 12px; color: #3c4043; background-color: #f1f3f4;
+        }
+        .category-chip .material-symbols-outlined, .category-filter-btn .material-symbols-outlined,
+        .category-group-header .material-symbols-outlined { font-size: 16px; }
+        .category-chip[data-category="security"] { color: #a50e0e; background-color: #fce8e6; }
+        .email-card.is-risky { border-left-color: #d93025; }
+        .invite-chip {
+          display: inline-flex; align-items: center; gap: 4px; flex-shrink: 0; padding: 2px 8px;
+          border-radius: 12px; font-size: 12px; color: #0b57d0; background-color: #e8f0fe;
+        }
+        .invite-chip.has-conflict { color: #8a4a00; background-color: #fef7e0; }
+        .invite-chip.is-cancelled { color: var(--gmail-text-color-secondary); background-color: #f1f3f4; text-decoration: line-through; }
+        .invite-chip .material-symbols-outlined { font-size: 16px; }
+        .invite-details {
+          margin: 0 0 16px 0; padding: 12px 14px; border: 1px solid #d2e3fc; border-radius: 8px;
+          font-size: 13px; color: #3c4043; display: flex; flex-direction: column; gap: 4px;
+        }
+        .invite-details > div { display: flex; align-items: center; gap: 6px; }
+        .invite-details .material-symbols-outlined { font-size: 18px; color: #5f6368; }
+        .invite-details .invite-title { font-size: 15px; font-weight: 500; color: var(--gmail-text-color-primary); }
+        .invite-details .invite-conflict, .invite-details .invite-conflict .material-symbols-outlined { color: #8a4a00; }
+        .invite-actions { margin-top: 6px; gap: 8px; }
+        .invite-actions button {
+          background-color: transparent; color: #0b57d0; border: 1px solid #a0c3ff; padding: 6px 14px;
+          border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+        }
+        .invite-actions button:disabled { color: var(--gmail-text-color-secondary); cursor: default; }
+        .risk-badge {
+          display: inline-flex; align-items: center; gap: 4px; flex-shrink: 0; padding: 2px 8px;
+          border-radius: 12px; font-size: 12px; font-weight: 500; color: #a50e0e; background-color: #fce8e6;
+        }
+        .risk-badge[data-risk="medium"] { color: #8a4a00; background-color: #fef7e0; }
+        .risk-badge .material-symbols-outlined { font-size: 16px; }
+        .risk-warning {
+          margin: 0 0 16px 0; padding: 10px 14px; border-radius: 8px; font-size: 13px;
+          color: #a50e0e; background-color: #fce8e6;
+        }
+        .risk-warning[data-risk="medium"] { color: #8a4a00; background-color: #fef7e0; }
+        .risk-warning ul { margin: 6px 0 0 0; padding-left: 20px; }
+        .email-actions .report-spam-btn { color: #d93025; }
+        #list-toolbar { padding: 8px 24px; border-bottom: 1px solid var(--gmail-border-color); font-size: 13px; }
+        .list-filters { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-bottom: 8px; }
+        .list-filters label { display: flex; align-items: center; gap: 6px; color: var(--gmail-text-color-secondary); }
+        #listSearchInput {
+          flex: 1; min-width: 200px; padding: 6px 10px; font-size: 13px; font-family: inherit;
+          border: 1px solid #dadce0; border-radius: 4px;
+        }
+        .score-range { display: flex; align-items: center; gap: 4px; color: var(--gmail-text-color-secondary); }
+        .score-range input { width: 70px; }
+        #scoreRangeLabel { min-width: 80px; }
+        .list-filters select, .list-filters button {
+          background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 6px 10px;
+          border-radius: 4px; cursor: pointer; font-size: 13px; font-family: inherit;
+        }
+        .list-filters button:hover { background-color: #f1f3f4; }
+        #category-filters { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+        .category-filter-btn {
+          display: inline-flex; align-items: center; gap: 4px; background-color: transparent; color: #3c4043;
+          border: 1px solid #dadce0; border-radius: 16px; padding: 4px 12px; cursor: pointer; font-size: 13px; font-family: inherit;
+        }
+        .category-filter-btn:hover { background-color: #f1f3f4; }
+        .category-filter-btn.is-active { background-color: #e8f0fe; border-color: #a0c3ff; color: #0b57d0; }
+        .category-group-header {
+          display: flex; align-items: center; gap: 6px; padding: 8px 24px; font-size: 13px; font-weight: 500;
+          color: var(--gmail-text-color-secondary); background-color: var(--gmail-background-color);
+          border-bottom: 1px solid var(--gmail-border-color);
+        }
         .summarized-title { font-weight: 500; font-size: 14px; color: var(--gmail-text-color-primary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-        .email-sender { font-size: 14px; color: var(--gmail-text-color-secondary); white-space: nowrap; margin-left: 20px; flex-shrink: 0; width: 180px; text-align: right; padding-right: 24px; }
+        .email-sender { font-size: 14px; color: var(--gmail-text-color-secondary); white-space: nowrap; margin-left: 20px; flex-shrink: 0; width: 180px; text-align: right; padding-right: 24px; cursor: pointer; overflow: hidden; text-overflow: ellipsis; }
+        .email-sender:hover { color: #0b57d0; text-decoration: underline; }
         .email-card-body { padding: 10px 24px 16px 60px; background-color: #f6f8fc; }
         .summary-points { list-style-type: '• '; padding-left: 20px; margin: 0 0 16px 0; font-size: 14px; color: #3c4043; }
         .summary-points li { margin-bottom: 8px; line-height: 1.5; }
@@ -909,7 +6041,11 @@
         .reason { padding: 4px 10px; border-radius: 16px; font-size: 12px; font-weight: 500; }
         .positive { color: #117b33; background-color: #e6f4ea; }
         .negative { color: #a50e0e; background-color: #fce8e6; }
-        .email-actions { display: flex; gap: 10px; }
+        .email-actions { display: flex; flex-wrap: wrap; gap: 10px; }
+        .apply-label-select {
+          background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 7px 10px;
+          border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500; font-family: inherit;
+        }
         .email-actions button, .email-actions a {
           background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 7px 16px;
           border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
@@ -922,6 +6058,27 @@
         }
         .email-actions button:hover, .email-actions a:hover { background-color: #f1f3f4; }
         .delete-btn { color: #d93025; }
+        .email-actions .rate-btn { font-size: 18px; padding: 5px 8px; }
+        .email-actions .rate-btn.is-active { color: #0b57d0; background-color: #e8f0fe; font-variation-settings: 'FILL' 1; }
+        .reply-composer { margin-top: 16px; padding-top: 16px; border-top: 1px solid #e0e0e0; }
+        .reply-options, .reply-footer { display: flex; align-items: center; gap: 10px; }
+        .reply-options select {
+          background-color: #fff; color: #5f6368; border: 1px solid #dadce0; padding: 7px 10px;
+          border-radius: 4px; font-size: 13px; font-family: inherit;
+        }
+        .reply-composer button {
+          background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 7px 16px;
+          border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+        }
+        .reply-composer button:hover { background-color: #f1f3f4; }
+        .reply-composer button:disabled { cursor: wait; color: #9aa0a6; }
+        .reply-text {
+          display: block; width: 100%; box-sizing: border-box; margin: 10px 0; padding: 10px;
+          border: 1px solid #dadce0; border-radius: 4px; font-family: inherit; font-size: 14px; resize: vertical;
+        }
+        .reply-footer { justify-content: space-between; }
+        .reply-status { font-size: 13px; color: var(--gmail-text-color-secondary); }
+        .reply-composer .save-draft-btn { color: #0b57d0; border-color: #a0c3ff; }
         .loading-spinner, .error-message, .no-emails { text-align: center; padding: 60px; color: var(--gmail-text-color-secondary); font-size: 16px; }
         .translation-container {
         display: inline-block;
@@ -963,6 +6120,133 @@
         color: #d93025;
         font-weight: 500;
       }
+      #profile-panel, #todo-panel, #digest-panel, #sender-panel, #unsubscribe-panel { padding: 16px 24px; }
+      .unsubscribe-list { list-style: none; margin: 0; padding: 0; }
+      .unsubscribe-row { display: flex; align-items: center; gap: 16px; padding: 10px 0; border-bottom: 1px solid var(--gmail-border-color); }
+      .unsubscribe-sender { flex: 1; min-width: 0; }
+      .unsubscribe-name { font-size: 14px; color: var(--gmail-text-color-primary); cursor: pointer; }
+      .unsubscribe-name:hover { color: #0b57d0; text-decoration: underline; }
+      .unsubscribe-stats { font-size: 12px; color: var(--gmail-text-color-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .unsubscribe-row .unsubscribe-btn {
+        background-color: transparent; color: #d93025; border: 1px solid #dadce0; padding: 6px 14px;
+        border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+      }
+      .unsubscribe-row .unsubscribe-btn:disabled { color: var(--gmail-text-color-secondary); cursor: default; }
+      .back-to-emails-btn {
+        background-color: transparent; color: #0b57d0; border: none; cursor: pointer;
+        font-size: 13px; font-weight: 500; padding: 4px 0; font-family: inherit;
+      }
+      .sender-name { margin: 8px 0 2px 0; font-size: 20px; font-weight: 400; color: var(--gmail-text-color-primary); }
+      .sender-address { font-size: 13px; color: var(--gmail-text-color-secondary); margin-bottom: 16px; }
+      .sender-stats { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 16px; }
+      .sender-stat { border: 1px solid var(--gmail-border-color); border-radius: 8px; padding: 10px 16px; min-width: 110px; }
+      .sender-stat-value { font-size: 20px; color: var(--gmail-text-color-primary); }
+      .sender-stat-label { font-size: 12px; color: var(--gmail-text-color-secondary); }
+      .sender-profile-status { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; font-size: 13px; color: #3c4043; margin-bottom: 16px; }
+      .add-sender-to-list-btn {
+        background-color: transparent; color: #0b57d0; border: 1px solid #a0c3ff; padding: 6px 14px;
+        border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+      }
+      #sender-panel h3 { margin: 0 0 8px 0; font-size: 16px; font-weight: 500; color: var(--gmail-text-color-primary); }
+      .sender-recent-emails { list-style: none; margin: 0; padding: 0; }
+      .sender-recent-emails li { display: flex; align-items: center; gap: 12px; padding: 6px 0; font-size: 14px; }
+      .sender-recent-emails a { flex: 1; color: var(--gmail-text-color-primary); text-decoration: none; }
+      .sender-recent-emails a:hover { text-decoration: underline; }
+      .sender-email-date { font-size: 12px; color: var(--gmail-text-color-secondary); }
+      .digest-controls { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 16px; }
+      .digest-controls select, .digest-controls button {
+        background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 6px 14px;
+        border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500; font-family: inherit;
+      }
+      .digest-controls #generateDigestBtn { color: #0b57d0; border-color: #a0c3ff; }
+      .digest-controls button:disabled { opacity: 0.5; cursor: default; }
+      #digest-status { font-size: 13px; color: var(--gmail-text-color-secondary); }
+      .digest-content { font-size: 14px; color: #3c4043; line-height: 1.5; }
+      .digest-content h1 { margin: 0 0 4px 0; font-size: 20px; font-weight: 400; color: var(--gmail-text-color-primary); }
+      .digest-content h2 { margin: 20px 0 8px 0; font-size: 16px; font-weight: 500; color: var(--gmail-text-color-primary); }
+      .digest-content ul { margin: 0; padding-left: 20px; }
+      .digest-content li { margin-bottom: 6px; }
+      .digest-content a { color: #0b57d0; text-decoration: none; }
+      .digest-meta { color: var(--gmail-text-color-secondary); }
+      .task-list { list-style: none; margin: 0 0 16px 0; padding: 0; }
+      .task-row { display: flex; align-items: flex-start; gap: 12px; padding: 10px 0; border-bottom: 1px solid var(--gmail-border-color); }
+      .task-checkbox { margin-top: 3px; cursor: pointer; }
+      .task-details { flex: 1; min-width: 0; }
+      .task-text { font-size: 14px; color: var(--gmail-text-color-primary); }
+      .task-row.is-done .task-text { text-decoration: line-through; color: var(--gmail-text-color-secondary); }
+      .task-owner { font-size: 12px; color: #5f6368; background-color: #f1f3f4; border-radius: 10px; padding: 1px 8px; }
+      .task-source { display: block; font-size: 12px; color: #0b57d0; text-decoration: none; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .task-due { font-size: 12px; color: var(--gmail-text-color-secondary); white-space: nowrap; }
+      .task-row.is-overdue .task-due { color: #d93025; font-weight: 500; }
+      .task-done-header { display: flex; align-items: center; justify-content: space-between; }
+      .task-done-header h2 { margin: 8px 0; font-size: 16px; font-weight: 500; color: var(--gmail-text-color-primary); }
+      .task-done-header button {
+        background-color: transparent; color: #5f6368; border: 1px solid #dadce0; padding: 6px 14px;
+        border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+      }
+      .card-action-items { list-style: none; padding: 0; margin: 0 0 16px 0; font-size: 14px; color: #3c4043; }
+      .card-attachments { list-style: none; padding: 0; margin: 0 0 16px 0; display: flex; flex-wrap: wrap; gap: 8px; }
+      .download-attachment-btn {
+        display: inline-flex; align-items: center; gap: 6px; max-width: 280px; padding: 6px 10px;
+        border: 1px solid #dadce0; border-radius: 8px; background: transparent; cursor: pointer;
+        font-size: 13px; font-family: inherit; color: #3c4043;
+      }
+      .download-attachment-btn:hover { background-color: #f1f3f4; }
+      .download-attachment-btn:disabled { cursor: progress; opacity: 0.6; }
+      .download-attachment-btn .material-symbols-outlined { font-size: 18px; color: #5f6368; }
+      .attachment-name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .attachment-size { flex-shrink: 0; font-size: 12px; color: var(--gmail-text-color-secondary); }
+      .card-action-items li { display: flex; align-items: center; gap: 6px; margin-bottom: 6px; }
+      .card-action-items .material-symbols-outlined { font-size: 18px; color: #0b57d0; }
+      .profile-intro { margin: 0 0 16px 0; font-size: 14px; color: var(--gmail-text-color-secondary); }
+      .profile-section { margin-bottom: 24px; }
+      .profile-section h2 { margin: 0 0 8px 0; font-size: 16px; font-weight: 500; color: var(--gmail-text-color-primary); }
+      .profile-entries { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 10px; }
+      .profile-entry {
+        display: inline-flex; align-items: center; gap: 4px; padding: 4px 6px 4px 12px;
+        border: 1px solid #dadce0; border-radius: 16px; font-size: 13px; color: #3c4043;
+      }
+      .profile-entry.is-pinned { background-color: #e8f0fe; border-color: #a0c3ff; }
+      .profile-entry button {
+        border: none; background: transparent; cursor: pointer; padding: 2px;
+        font-size: 16px; color: var(--gmail-text-color-secondary); border-radius: 50%;
+      }
+      .profile-entry button:hover { background-color: #f1f3f4; }
+      .profile-entry.is-pinned .pin-entry-btn { color: #0b57d0; font-variation-settings: 'FILL' 1; }
+      .profile-empty { font-size: 13px; color: var(--gmail-text-color-secondary); }
+      .add-entry-form, .add-rule-form { display: flex; gap: 8px; }
+      .add-entry-form input, .add-rule-form input, .add-rule-form select {
+        flex: 1; max-width: 320px; padding: 6px 10px; font-size: 13px; font-family: inherit;
+        border: 1px solid #dadce0; border-radius: 4px;
+      }
+      .add-rule-form input[type="number"] { width: 70px; flex: none; }
+      .rule-list { display: flex; flex-direction: column; gap: 6px; margin-bottom: 10px; }
+      .rule-row { display: flex; align-items: center; gap: 8px; font-size: 13px; color: #3c4043; }
+      .rule-row button {
+        border: none; background: transparent; cursor: pointer; padding: 2px;
+        font-size: 16px; color: var(--gmail-text-color-secondary); border-radius: 50%;
+      }
+      .filters-section h3 { margin: 16px 0 8px 0; font-size: 14px; font-weight: 500; color: var(--gmail-text-color-primary); }
+      .filter-row { padding: 10px 0; border-bottom: 1px solid var(--gmail-border-color); }
+      .filter-name { font-size: 14px; color: var(--gmail-text-color-primary); }
+      .filter-form { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-top: 8px; font-size: 13px; color: #3c4043; }
+      .filter-form label { display: inline-flex; align-items: center; gap: 4px; cursor: pointer; }
+      .filter-form button {
+        background-color: transparent; color: #0b57d0; border: 1px solid #a0c3ff; padding: 6px 14px;
+        border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+      }
+      .filter-form button:disabled { color: var(--gmail-text-color-secondary); cursor: default; }
+      .filter-preview { font-size: 13px; color: #3c4043; }
+      .filter-preview p { margin: 8px 0 4px 0; }
+      .filter-preview ul { list-style: none; margin: 0; padding: 0; }
+      .filter-preview li { padding: 2px 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .filter-preview-date, .filter-preview-sender { color: var(--gmail-text-color-secondary); }
+      .filter-preview-date { display: inline-block; width: 80px; }
+      .filter-preview-sender { margin-left: 6px; }
+      .add-entry-form button, .add-rule-form button {
+        background-color: transparent; color: #0b57d0; border: 1px solid #a0c3ff; padding: 6px 16px;
+        border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;
+      }
       </style>
       <div id="reception-container">
         <div id="reception-header">
@@ -970,20 +6254,75 @@
             <h1>${CLIENT_DISPLAY_NAME}</h1>
             <span 
               class="material-symbols-outlined info-icon" 
-              title="Due to slow APIs and for a quick demo, I’ve limited the query to only the most recent unread emails."
+              title="Scans unread inbox emails from the last ${SCAN_LOOKBACK_DAYS} days (up to ${MAX_SCAN_MESSAGES} emails)."
             >info</span>
           </div>
           <div id="reception-controls">
             <button id="signBtn">Sign In</button>
             <button id="analyzeBtn" style="display:none;">Scan Unread Emails</button>
+            <button id="profileBtn" style="display:none;">Edit Profile</button>
+            <button id="historyBtn" style="display:none;">Recent Actions</button>
             <button id="signoutBtn" style="display:none;">Sign Out</button>
           </div>
         </div>
         <div id="reception-status">
           <p id="status-message">Please sign in to prioritize your inbox.</p>
         </div>
+        <div id="reception-tabs" style="display:none;">
+          <button data-view="emails" class="is-active">Emails</button>
+          <button data-view="todo">To-do <span id="todo-count"></span></button>
+          <button data-view="digest">Digest</button>
+          <button data-view="unsubscribe">Unsubscribe</button>
+        </div>
+        <div id="list-toolbar" style="display:none;">
+          <div class="list-filters">
+            <input type="search" id="listSearchInput" placeholder="Search titles, senders and summaries" />
+            <div class="score-range">
+              <span id="scoreRangeLabel">Score 0–100</span>
+              <input type="range" id="minScoreInput" min="0" max="100" step="5" title="Lowest score" />
+              <input type="range" id="maxScoreInput" min="0" max="100" step="5" title="Highest score" />
+            </div>
+            <select id="senderFilterSelect"></select>
+            <label><input type="checkbox" id="hideLowPriorityCheckbox" /> Hide low priority</label>
+            <label><input type="checkbox" id="groupByCategoryCheckbox" /> Group by category</label>
+            <select id="sortOrderSelect">${Object.entries(SORT_ORDERS)
+              .map(
+                ([value, { label }]) =>
+                  `<option value="${value}">Sort: ${label}</option>`
+              )
+              .join("")}</select>
+            <button id="resetListViewBtn">Reset</button>
+          </div>
+          <div id="category-filters"></div>
+        </div>
+        <div id="bulk-toolbar" style="display:none;">
+          <label class="select-all-label">
+            <input type="checkbox" id="selectAllCheckbox" />
+            <span id="selection-count">0 selected</span>
+          </label>
+          <button id="selectLowPriorityBtn">Select All Below Threshold</button>
+          <div class="bulk-actions">
+            <button data-bulk-action="read">Mark as Read</button>
+            <button data-bulk-action="archive">Archive</button>
+            <button data-bulk-action="trash" class="delete-btn">Trash</button>
+            <button data-bulk-action="fileLowPriority">File as Low Priority</button>
+            <select id="bulkLabelSelect">
+              <option value="">Apply label...</option>
+            </select>
+          </div>
+        </div>
         <div id="reception-content">
           <div id="email-list"></div>
+          <div id="todo-panel" style="display:none;"></div>
+          <div id="digest-panel" style="display:none;"></div>
+          <div id="unsubscribe-panel" style="display:none;"></div>
+          <div id="sender-panel" style="display:none;"></div>
+          <div id="profile-panel" style="display:none;"></div>
+        </div>
+        <div id="history-panel" style="display:none;"></div>
+        <div id="toast" style="display:none;">
+          <span id="toast-message"></span>
+          <button id="toastUndoBtn">Undo</button>
         </div>
       </div>
     `;
@@ -995,11 +6334,113 @@
       signoutBtn: shadow.getElementById("signoutBtn"),
       statusEl: shadow.getElementById("status-message"),
       emailsEl: shadow.getElementById("email-list"),
+      profileBtn: shadow.getElementById("profileBtn"),
+      profilePanelEl: shadow.getElementById("profile-panel"),
+      tabsEl: shadow.getElementById("reception-tabs"),
+      todoPanelEl: shadow.getElementById("todo-panel"),
+      todoCountEl: shadow.getElementById("todo-count"),
+      digestPanelEl: shadow.getElementById("digest-panel"),
+      senderPanelEl: shadow.getElementById("sender-panel"),
+      unsubscribePanelEl: shadow.getElementById("unsubscribe-panel"),
+      bulkToolbarEl: shadow.getElementById("bulk-toolbar"),
+      listToolbarEl: shadow.getElementById("list-toolbar"),
+      listSearchInput: shadow.getElementById("listSearchInput"),
+      minScoreInput: shadow.getElementById("minScoreInput"),
+      maxScoreInput: shadow.getElementById("maxScoreInput"),
+      scoreRangeLabel: shadow.getElementById("scoreRangeLabel"),
+      senderFilterSelect: shadow.getElementById("senderFilterSelect"),
+      hideLowPriorityCheckbox: shadow.getElementById("hideLowPriorityCheckbox"),
+      groupByCategoryCheckbox: shadow.getElementById("groupByCategoryCheckbox"),
+      sortOrderSelect: shadow.getElementById("sortOrderSelect"),
+      resetListViewBtn: shadow.getElementById("resetListViewBtn"),
+      categoryFiltersEl: shadow.getElementById("category-filters"),
+      selectionCountEl: shadow.getElementById("selection-count"),
+      selectAllCheckbox: shadow.getElementById("selectAllCheckbox"),
+      selectLowPriorityBtn: shadow.getElementById("selectLowPriorityBtn"),
+      bulkLabelSelect: shadow.getElementById("bulkLabelSelect"),
+      historyBtn: shadow.getElementById("historyBtn"),
+      historyPanelEl: shadow.getElementById("history-panel"),
+      toastEl: shadow.getElementById("toast"),
+      toastMessageEl: shadow.getElementById("toast-message"),
+      toastUndoBtn: shadow.getElementById("toastUndoBtn"),
     };
 
-    ui.signBtn.addEventListener("click", handleSignIn);
+    ui.signBtn.addEventListener("click", () => handleSignIn());
     ui.signoutBtn.addEventListener("click", handleSignOut);
     ui.analyzeBtn.addEventListener("click", analyzeAndDisplayEmails);
+    ui.selectAllCheckbox.addEventListener("change", () => {
+      selectedEmailIds = ui.selectAllCheckbox.checked
+        ? new Set(getVisibleEmails().map((email) => email.id))
+        : new Set();
+      updateBulkToolbar();
+    });
+    ui.selectLowPriorityBtn.addEventListener("click", () => {
+      getVisibleEmails()
+        .filter(
+          (email) =>
+            email.analysisData.score >= 0 &&
+            email.analysisData.score < SCORE_THRESHOLD
+        )
+        .forEach((email) => selectedEmailIds.add(email.id));
+      updateBulkToolbar();
+    });
+    ui.bulkToolbarEl
+      .querySelectorAll("[data-bulk-action]")
+      .forEach((button) =>
+        button.addEventListener("click", () =>
+          handleBulkAction(button.dataset.bulkAction)
+        )
+      );
+    ui.bulkLabelSelect.addEventListener("change", handleBulkLabel);
+    ui.listSearchInput.addEventListener("input", () => {
+      searchQuery = ui.listSearchInput.value;
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(applySearch, SEARCH_DEBOUNCE_MS);
+    });
+    // Keep the two ends of the score range from crossing.
+    ui.minScoreInput.addEventListener("change", () => {
+      const minScore = Number(ui.minScoreInput.value);
+      updateListView({
+        minScore,
+        maxScore: Math.max(minScore, listView.maxScore),
+      });
+    });
+    ui.maxScoreInput.addEventListener("change", () => {
+      const maxScore = Number(ui.maxScoreInput.value);
+      updateListView({
+        maxScore,
+        minScore: Math.min(maxScore, listView.minScore),
+      });
+    });
+    ui.senderFilterSelect.addEventListener("change", () =>
+      updateListView({ sender: ui.senderFilterSelect.value })
+    );
+    ui.hideLowPriorityCheckbox.addEventListener("change", () =>
+      updateListView({ hideLowPriority: ui.hideLowPriorityCheckbox.checked })
+    );
+    ui.groupByCategoryCheckbox.addEventListener("change", () =>
+      updateListView({ groupByCategory: ui.groupByCategoryCheckbox.checked })
+    );
+    ui.sortOrderSelect.addEventListener("change", () =>
+      updateListView({ sortBy: ui.sortOrderSelect.value })
+    );
+    ui.resetListViewBtn.addEventListener("click", () => {
+      searchQuery = "";
+      ui.listSearchInput.value = "";
+      updateListView(DEFAULT_LIST_VIEW);
+    });
+    loadListView();
+    ui.historyBtn.addEventListener("click", () => {
+      const isOpen = ui.historyPanelEl.style.display !== "none";
+      if (!isOpen) renderHistoryPanel();
+      ui.historyPanelEl.style.display = isOpen ? "none" : "block";
+    });
+    ui.profileBtn.addEventListener("click", () =>
+      setActiveView(activeView === "profile" ? "emails" : "profile")
+    );
+    ui.tabsEl.querySelectorAll("[data-view]").forEach((tab) => {
+      tab.addEventListener("click", () => setActiveView(tab.dataset.view));
+    });
   }
 
   // --- GMAIL PAGE INTEGRATION ---
@@ -1034,6 +6475,10 @@
   function handleUrlChange() {
     const isReceptionActive = window.location.hash === "#reception";
     toggleReceptionView(isReceptionActive);
+    if (isReceptionActive) {
+      showCachedAnalysis();
+      chrome.runtime.sendMessage({ type: "CLEAR_BADGE" });
+    }
 
     const receptionButton = document.getElementById("reception-nav-button");
     if (receptionButton) {
@@ -1139,6 +6584,7 @@
 
     parentContainer.insertBefore(receptionButton, composeButtonContainer);
     handleUrlChange();
+    restoreSignIn();
   }
   // --- INITIALIZATION ---
   function main() {
@@ -0,0 +1,195 @@
+// scoring.js
+// The scoring rules shared by the content script and the background worker,
+// so that a background notification and the Reception card agree on what's
+// important. Everything here works on Gmail API messages and plain data.
+
+// Below this score an email counts as low priority.
+const SCORE_THRESHOLD = 40;
+// Scores given without the AI when a sender is on one of the profile lists.
+const RULE_HIGH_PRIORITY_SCORE = 85;
+const RULE_LOW_PRIORITY_SCORE = 15;
+
+// What a user-defined rule can look at, and how it's described in the UI.
+const RULE_FIELDS = {
+  from: "From contains",
+  subject: "Subject contains",
+  listUnsubscribe: "Has a List-Unsubscribe header",
+  label: "Has Gmail label",
+};
+
+/**
+ * Reads a header from a Gmail API message, e.g. getEmailHeader(email, "From").
+ */
+function getEmailHeader(email, name) {
+  return (
+    (
+      email.payload?.headers?.find(
+        (h) => h.name.toLowerCase() === name.toLowerCase()
+      ) || {}
+    ).value || ""
+  );
+}
+
+/**
+ * Pulls the bare address out of a From header, so that
+ * "Amazon <no-reply@amazon.com>" becomes "no-reply@amazon.com".
+ */
+function extractEmailAddress(from) {
+  const match = (from || "").match(/<([^>]+)>/);
+  return (match ? match[1] : from || "").trim().toLowerCase();
+}
+
+/**
+ * Breaks a From header (or a profile entry) down into a sender identity:
+ * the bare lower-case address, its domain and the display name. That way
+ * "Amazon <no-reply@amazon.com>" and "no-reply@amazon.com" are one sender.
+ */
+function normalizeSender(from) {
+  const address = extractEmailAddress(from);
+  const name = (from || "")
+    .replace(/<[^>]*>/, "")
+    .replace(/"/g, "")
+    .trim();
+  return {
+    address,
+    domain: address.split("@").pop(),
+    name: name.toLowerCase() === address ? "" : name,
+  };
+}
+
+/**
+ * Checks a profile sender entry against a sender identity. Entries can be a
+ * full address, a whole domain ("amazon.com" or "@amazon.com", which also
+ * covers its subdomains), or just a name.
+ */
+function senderMatches(entry, sender) {
+  const needle = extractEmailAddress(entry);
+  if (!needle) return false;
+  if (/^[^@]+@[^@]+$/.test(needle)) return needle === sender.address;
+  const domain = needle.replace(/^@/, "");
+  if (domain.includes(".")) {
+    return sender.domain === domain || sender.domain.endsWith(`.${domain}`);
+  }
+  return (
+    sender.address.includes(domain) ||
+    sender.name.toLowerCase().includes(domain)
+  );
+}
+
+/**
+ * Checks one of the user's rules against a Gmail API message. Label rules
+ * need the mailbox's labels to resolve the names the user typed.
+ */
+function ruleMatches(rule, email, labels = []) {
+  const value = (rule.value || "").trim().toLowerCase();
+  switch (rule.field) {
+    case "from":
+      return (
+        !!value && getEmailHeader(email, "From").toLowerCase().includes(value)
+      );
+    case "subject":
+      return (
+        !!value &&
+        getEmailHeader(email, "Subject").toLowerCase().includes(value)
+      );
+    case "listUnsubscribe":
+      return !!getEmailHeader(email, "List-Unsubscribe");
+    case "label": {
+      // Rules name a label ("Work"), but emails carry label IDs
+      // ("Label_12"). System labels (CATEGORY_PROMOTIONS) are their own IDs.
+      const label = labels.find((l) => l.name.toLowerCase() === value);
+      return (email.labelIds || []).some(
+        (id) => id.toLowerCase() === value || id === label?.id
+      );
+    }
+    default:
+      return false;
+  }
+}
+
+const describeRule = (rule) =>
+  rule.field === "listUnsubscribe"
+    ? `Your rule: ${RULE_FIELDS[rule.field]}`
+    : `Your rule: ${RULE_FIELDS[rule.field]} "${rule.value}"`;
+
+/**
+ * Tries to score an email locally, without the AI. The user's own rules
+ * always decide; otherwise a sender on one of the profile's sender lists
+ * decides, as long as no keyword points the other way. Returns the
+ * analysis for a decisive match, or null when the AI should take a look.
+ * Summary points are the raw snippet, which still has HTML entities in it.
+ */
+function prescoreEmail(email, userProfile, rules, labels = []) {
+  const subject = getEmailHeader(email, "Subject");
+  const lowerSubject = subject.toLowerCase();
+  const analysis = (score, positiveReasons, negativeReasons) => ({
+    id: email.id,
+    score,
+    summarizedTitle: subject || "(no subject)",
+    summaryPoints: email.snippet ? [email.snippet] : [],
+    positiveReasons,
+    negativeReasons,
+    scoredBy: "rules",
+  });
+
+  const rule = rules.find((r) => ruleMatches(r, email, labels));
+  if (rule) {
+    return rule.score >= SCORE_THRESHOLD
+      ? analysis(rule.score, [describeRule(rule)], [])
+      : analysis(rule.score, [], [describeRule(rule)]);
+  }
+
+  const sender = normalizeSender(getEmailHeader(email, "From"));
+  const matchingSenders = (entries) =>
+    (entries || []).filter((entry) => senderMatches(entry, sender));
+  const matchingKeywords = (entries) =>
+    (entries || []).filter(
+      (k) => k.trim() && lowerSubject.includes(k.trim().toLowerCase())
+    );
+
+  const highSenders = matchingSenders(userProfile.highPrioritySenders);
+  const lowSenders = matchingSenders(userProfile.lowPrioritySenders);
+  const positiveReasons = [
+    ...highSenders.map((s) => `Sender is on your high-priority list (${s})`),
+    ...matchingKeywords(userProfile.highPriorityKeywords).map(
+      (k) => `Subject mentions high-priority keyword "${k}"`
+    ),
+  ];
+  const negativeReasons = [
+    ...lowSenders.map((s) => `Sender is on your low-priority list (${s})`),
+    ...matchingKeywords(userProfile.lowPriorityKeywords).map(
+      (k) => `Subject mentions low-priority keyword "${k}"`
+    ),
+  ];
+
+  if (highSenders.length > 0 && negativeReasons.length === 0) {
+    return analysis(RULE_HIGH_PRIORITY_SCORE, positiveReasons, []);
+  }
+  if (lowSenders.length > 0 && positiveReasons.length === 0) {
+    return analysis(RULE_LOW_PRIORITY_SCORE, [], negativeReasons);
+  }
+  return null;
+}
+
+/**
+ * Boils the feedback log down to per-sender action counts, e.g.
+ * { "deals@shop.com": { deleted: 4, disliked: 1 } }. Only the most active
+ * senders are kept so the prompts stay short.
+ */
+function summarizeFeedback(log, maxSenders = 30) {
+  const bySender = {};
+  log.forEach(({ sender, action }) => {
+    if (!sender) return;
+    bySender[sender] = bySender[sender] || { total: 0 };
+    bySender[sender][action] = (bySender[sender][action] || 0) + 1;
+    bySender[sender].total++;
+  });
+  const summary = {};
+  Object.entries(bySender)
+    .sort(([, a], [, b]) => b.total - a.total)
+    .slice(0, maxSenders)
+    .forEach(([sender, { total, ...counts }]) => {
+      summary[sender] = counts;
+    });
+  return summary;
+}